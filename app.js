@@ -5,9 +5,16 @@ const setupSwagger = require('./swagger');
 // const swaggerUi = require('swagger-ui-express');
 const path = require('path');
 const { scheduleAdExpirationJob } = require('./controllers/adController');
+const { scheduleMailQueueJob } = require('./utils/mailQueue');
+const { i18n } = require('./utils/i18n');
+const requestId = require('./middleware/requestId');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 // Create express app
 const app = express();
+app.use(requestId);
+// Picks the response language from Accept-Language (req.locale, req.t)
+app.use(i18n);
 app.use(express.json());
 app.use(express.static(path.join(__dirname,'public')));
 
@@ -19,17 +26,29 @@ app.use(cors());
 // app.use(express.json({ limit: '1mb' }));
 
 scheduleAdExpirationJob();
+scheduleMailQueueJob();
 // Routes
 app.use('/rawa', require('./routes/auth.routes'));
 app.use('/rawa/country',require('./routes/countryRoutes'));
-app.use('rawa/currency',require('./routes/countryRoutes'));
+app.use('/rawa/currency',require('./routes/currencyRoutes'));
 app.use('/rawa/roles', require('./routes/roleRoutes'));
+app.use('/rawa/users', require('./routes/userRoutes'));
+app.use('/rawa/invitations', require('./routes/invitationRoutes'));
+app.use('/rawa/2fa', require('./routes/twoFactorRoutes'));
+app.use('/rawa/email-templates', require('./routes/emailTemplateRoutes'));
 app.use('/rawa/province', require('./routes/provinceRoutes'));
 app.use('/rawa/district', require('./routes/districtRoutes'));
 app.use('/rawa/factory', require('./routes/factoryRoutes'));
 app.use('/rawa/mosque', require('./routes/mosqueRoutes'));
 app.use('/rawa/product', require('./routes/productRoutes'));
 app.use('/rawa/ads', require('./routes/adRoutes'));
+app.use('/rawa/orders', require('./routes/orderRoutes'));
+app.use('/rawa/deliveries', require('./routes/deliveryRoutes'));
+app.use('/rawa/search', require('./routes/searchRoutes'));
+
+// Errors: unknown routes, then the single place that writes error responses
+app.use(notFound);
+app.use(errorHandler);
 
 module.exports = app;
 
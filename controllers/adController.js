@@ -6,6 +6,8 @@ const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const cron = require('node-cron');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
 
 const multerStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -19,7 +21,7 @@ const multerStorage = multer.diskStorage({
 
 const multerFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image')) cb(null, true);
-  else cb(new Error('الملف ليس صورة! يرجى رفع صورة فقط.'), false);
+  else cb(new BadRequestError('FILE_NOT_IMAGE'), false);
 };
 
 const upload = multer({ storage: multerStorage, fileFilter: multerFilter });
@@ -44,6 +46,11 @@ const uploadAdPhoto = upload.single('photo');
 // }
 
 
+const adList = defineList({
+  sortable: ['createdAt', 'title', 'id'],
+  defaultSort: '-createdAt',
+});
+
 /**
  * @swagger
  * /rawa/ads:
@@ -84,10 +91,10 @@ const uploadAdPhoto = upload.single('photo');
  *         description: Internal server error
  */
 
-async function createAd(req, res) {
+async function createAd(req, res, next) {
   try {
     const { title, expiresAt } = req.body;
-    if (!req.file) return res.status(400).json({ message: 'يرجى رفع صورة للإعلان' });
+    if (!req.file) throw new BadRequestError('AD_PHOTO_REQUIRED');
 
     const expireDate = expiresAt ? new Date(expiresAt) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
 
@@ -113,8 +120,7 @@ async function createAd(req, res) {
 
     return res.status(201).json({ ad });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -143,11 +149,11 @@ async function createAd(req, res) {
  *       500:
  *         description: Internal server error
  */
-async function showAd(req, res) {
+async function showAd(req, res, next) {
   try {
     const id = Number(req.params.id);
     const ad = await prisma.ad.findUnique({ where: { id } });
-    if (!ad) return res.status(404).json({ message: 'Ad not found' });
+    if (!ad) throw new NotFoundError('AD_NOT_FOUND');
 
     const updatedAd = await prisma.ad.update({
       where: { id },
@@ -156,8 +162,7 @@ async function showAd(req, res) {
 
     return res.json({ ad: updatedAd });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 /**
@@ -186,11 +191,11 @@ async function showAd(req, res) {
  */
 
 
-async function hideAd(req, res) {
+async function hideAd(req, res, next) {
   try {
     const id = Number(req.params.id);
     const ad = await prisma.ad.findUnique({ where: { id } });
-    if (!ad) return res.status(404).json({ message: 'Ad not found' });
+    if (!ad) throw new NotFoundError('AD_NOT_FOUND');
 
     const updatedAd = await prisma.ad.update({
       where: { id },
@@ -199,8 +204,7 @@ async function hideAd(req, res) {
 
     return res.json({ ad: updatedAd });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -211,14 +215,26 @@ async function hideAd(req, res) {
  *     summary: Get all currently active & visible ads
  *     tags: [Ads]
  *     description: Returns ads with inShow = true and not expired. Expired ads will be hidden automatically.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, title, id
  *     responses:
  *       200:
- *         description: List of visible ads
+ *         description: Page of visible ads with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
-async function getShownAds(req, res) {
+async function getShownAds(req, res, next) {
   try {
     const now = new Date();
     //hide expire date ads
@@ -227,16 +243,14 @@ async function getShownAds(req, res) {
       data: { inShow: false },
     });
 
-    const ads = await prisma.ad.findMany({
+    const { items, meta } = await paginate(prisma.ad, adList, req, {
       where: { inShow: true, expiresAt: { gt: now } },
       include: { files: true },
-      orderBy: { createdAt: 'desc' },
     });
 
-    return res.json({ ads });
+    return res.json({ ads: items, ...meta });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -249,9 +263,21 @@ async function getShownAds(req, res) {
  *     security:
  *       - bearerAuth: []
  *     description: Retrieve all ads. Only authorized 'SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY' can access.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, title, id
  *     responses:
  *       200:
- *         description: List of ads
+ *         description: Page of ads with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       401:
  *         description: Unauthorized
  *       403:
@@ -260,13 +286,12 @@ async function getShownAds(req, res) {
  *         description: Internal server error
  */
 
-async function getAds(req, res) {
+async function getAds(req, res, next) {
   try {
-    const ads = await prisma.ad.findMany({ include: { files: true }, orderBy: { createdAt: 'desc' } });
-    return res.json({ ads });
+    const { items, meta } = await paginate(prisma.ad, adList, req, { include: { files: true } });
+    return res.json({ ads: items, ...meta });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 /**
@@ -294,15 +319,14 @@ async function getAds(req, res) {
  *         description: Internal server error
  */
 
-async function getAdById(req, res) {
+async function getAdById(req, res, next) {
   try {
     const id = Number(req.params.id);
     const ad = await prisma.ad.findUnique({ where: { id }, include: { files: true } });
-    if (!ad) return res.status(404).json({ message: 'Ad not found' });
+    if (!ad) throw new NotFoundError('AD_NOT_FOUND');
     return res.json({ ad });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -354,13 +378,13 @@ async function getAdById(req, res) {
  *         description: Internal server error
  */
 
-async function updateAd(req, res) {
+async function updateAd(req, res, next) {
   try {
     const id = Number(req.params.id);
     const { title, expiresAt, inShow } = req.body;
 
     const ad = await prisma.ad.findUnique({ where: { id } });
-    if (!ad) return res.status(404).json({ message: 'Ad not found' });
+    if (!ad) throw new NotFoundError('AD_NOT_FOUND');
 
     const updatedAd = await prisma.ad.update({
       where: { id },
@@ -374,8 +398,7 @@ async function updateAd(req, res) {
 
     return res.json({ ad: updatedAd });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 /**
@@ -403,17 +426,16 @@ async function updateAd(req, res) {
  *         description: Internal server error
  */
 
-async function deleteAd(req, res) {
+async function deleteAd(req, res, next) {
   try {
     const id = Number(req.params.id);
     const ad = await prisma.ad.findUnique({ where: { id } });
-    if (!ad) return res.status(404).json({ message: 'Ad not found' });
+    if (!ad) throw new NotFoundError('AD_NOT_FOUND');
 
     await prisma.ad.delete({ where: { id } });
-    return res.json({ message: 'Ad deleted successfully' });
+    return res.json(req.t('AD_DELETED'));
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 function scheduleAdExpirationJob() {
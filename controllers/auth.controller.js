@@ -1,18 +1,45 @@
 'use strict';
 
+const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { z } = require('zod');
 const { hashPassword, verifyPassword } = require('../utils/hash');
-const { signJwt } = require('../utils/jwt');
-const { sendMail, buildVerificationEmail } = require('../utils/mailer');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/session');
 const checkRole = require('../utils/roleChecker');
+const authMiddleware = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { createAttemptLimiter, tooManyAttempts } = require('../utils/attemptLimiter');
+const {
+  sendVerificationCode,
+  findCode,
+  invalidateCodes,
+  sendPhoneCode,
+  findPhoneCode,
+  invalidatePhoneCodes,
+} = require('../utils/verificationCode');
+const { startSession } = require('../utils/twoFactor');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../utils/locale');
+const { phoneSchema } = require('../utils/phone');
+const { BadRequestError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
 
+// Brute-force protection: per account and per IP counters with backoff
+const loginByAccount = createAttemptLimiter({ name: 'login:account', maxAttempts: 10 });
+const loginByIp = createAttemptLimiter({ name: 'login:ip', maxAttempts: 50, freeAttempts: 20 });
+const codeByAccount = createAttemptLimiter({ name: 'code:account', maxAttempts: 5, freeAttempts: 2 });
+const codeByIp = createAttemptLimiter({ name: 'code:ip', maxAttempts: 30, freeAttempts: 10 });
+const codeByPhone = createAttemptLimiter({ name: 'code:phone', maxAttempts: 5, freeAttempts: 2 });
+// Every SMS costs money, so sending is throttled like failures
+const smsByPhone = createAttemptLimiter({
+  name: 'sms:phone', maxAttempts: 5, freeAttempts: 1, baseDelayMs: 30 * 1000, maxDelayMs: 10 * 60 * 1000, lockoutMs: 60 * 60 * 1000,
+});
+const smsByIp = createAttemptLimiter({ name: 'sms:ip', maxAttempts: 20, freeAttempts: 5, baseDelayMs: 30 * 1000 });
+
+// Every route here shows users their own account; staff see others through /rawa/users
 function sanitizeUser(user, currentUser) {
-  const allowedFull = ['SUPER_ADMIN','ADMIN','DATA_ENTRY'];
   if (!user) return null;
-  if (allowedFull.includes(currentUser.role) || currentUser.id === user.id) {
-    const { password, ...rest } = user;
+  if (currentUser.id === user.id) {
+    const { password, twoFactorSecret, ...rest } = user;
     return rest;
   }
   return { username: user.username, phone: user.phone };
@@ -22,7 +49,7 @@ const signupSchema = z.object({
   username: z.string().min(3),
   password: z.string().min(6,'password should be at least 6 params'),
   email: z.string().email().optional(),
-  phone: z.string().optional(),
+  phone: phoneSchema.optional(),
 });
 
 const loginSchema = z.object({
@@ -30,6 +57,16 @@ const loginSchema = z.object({
   password: z.string().min(6,'password should be at least 6 params'),
 });
 
+const phoneCodeSchema = z.object({
+  phone: phoneSchema,
+});
+
+const phoneVerifySchema = z.object({
+  phone: phoneSchema,
+  code: z.string().length(6),
+  username: z.string().min(3).optional(),
+});
+
 const forgotPasswordSchema = z.object({
   email: z.string().email(),
 });
@@ -40,23 +77,58 @@ const resetPasswordSchema = z.object({
   newPassword: z.string().min(6),
 });
 
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+const logoutSchema = z.object({
+  allDevices: z.boolean().optional(),
+});
+
+const updateMeSchema = z.object({
+  username: z.string().min(3).optional(),
+  email: z.string().email().optional(),
+  phone: phoneSchema.optional(),
+  locale: z.enum(SUPPORTED_LOCALES).nullable().optional(),
+});
+
+const confirmEmailSchema = z.object({
+  code: z.string().length(6),
+});
+
+const confirmPhoneSchema = z.object({
+  code: z.string().length(6),
+});
+
 const changePasswordSchema = z.object({
   oldPassword: z.string().min(6),
   newPassword: z.string().min(6),
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(err.status || 500).json({ message: err.message || 'Internal server error' });
+
+async function userRoleId() {
+  const role = await prisma.role.findUnique({ where:{ name:'USER' } });
+  return role ? role.id : null;
 }
 
+/**
+ * The account a phone number logs into: only the one that verified it. A
+ * number typed at signup or in PATCH /me is anyone's until confirmed through
+ * POST /rawa/me/phone/confirm.
+ */
+async function findPhoneAccount(phone) {
+  return prisma.user.findFirst({ where:{ phone, phoneVerified:true }, include:{ role:true } });
+}
 
-async function sendVerificationCode(user) {
-  const code = String(Math.floor(100000 + Math.random() * 900000));
-  const expiresAt = new Date(Date.now() + 15*60*1000);
-  await prisma.emailVerification.create({ data: { userId: user.id, code, expiresAt } });
-  const { html, text, subject } = buildVerificationEmail({ username: user.username, code });
-  await sendMail({ to: user.email, subject, html, text });
+// A number logs into one account: the last one that proved it owns it
+function claimPhone(userId, phone) {
+  return prisma.user.updateMany({ where:{ phone, phoneVerified:true, NOT:{ id:userId } }, data:{ phoneVerified:false } });
+}
+
+// Counts a wrong code; too many wrong guesses burn the outstanding codes
+async function wrongCode(user, req) {
+  const [{ locked }] = await Promise.all([codeByAccount.fail(user.id), codeByIp.fail(req.ip)]);
+  if (locked) await invalidateCodes(user.id);
 }
 
 
@@ -96,30 +168,30 @@ async function sendVerificationCode(user) {
  *         description: Internal server error
  */
 
-async function signup(req,res) {
+async function signup(req,res,next) {
   try {
     const parsed = signupSchema.safeParse(req.body);
-    if (!parsed.success) return res.status(400).json({ errors: parsed.error.errors });
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
     const { username, password, email, phone } = parsed.data;
 
    
-    if (await prisma.user.findUnique({ where:{ username } })) return res.status(409).json({ message:'Username exists' });
-    if (email && await prisma.user.findUnique({ where:{ email } })) return res.status(409).json({ message:'Email exists' });
+    if (await prisma.user.findUnique({ where:{ username } })) throw new ConflictError('USERNAME_EXISTS');
+    if (email && await prisma.user.findUnique({ where:{ email } })) throw new ConflictError('EMAIL_EXISTS');
 
     const passwordHash = await hashPassword(password);
 
-    const user = await prisma.user.create({ data:{ username, password: passwordHash, email, phone, role:'USER' } });
+    const user = await prisma.user.create({ data:{ username, password: passwordHash, email, phone, roleId: await userRoleId() } });
 
     if (email) {
-      await sendVerificationCode(user);
-      return res.status(201).json({ needsVerification:true, message:'Verification code sent', user: sanitizeUser(user,user) });
+      await sendVerificationCode(user, 'EMAIL_VERIFY', { locale: resolveLocale(user, req) });
+      return res.status(201).json({ needsVerification:true, ...req.t('VERIFICATION_CODE_SENT'), user: sanitizeUser(user,user) });
     }
 
-    const token = signJwt({ sub: user.id, username: user.username });
-    return res.status(201).json({ token, user: sanitizeUser(user,user) });
+    const { token, refreshToken } = await createSession(user, req);
+    return res.status(201).json({ token, refreshToken, user: sanitizeUser(user,user) });
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 
@@ -145,40 +217,271 @@ async function signup(req,res) {
  *                 example: mySecret123
  *     responses:
  *       200:
- *         description: Successfully logged in
+ *         description: >
+ *           Successfully logged in, returns a short-lived access token and a refresh token.
+ *           With 2FA (mandatory for SUPER_ADMIN and ADMIN) it returns twoFactorRequired,
+ *           setupRequired and a challengeToken for /rawa/2fa/verify (or /rawa/2fa/setup) instead.
  *       400:
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
  *       403:
  *         description: Email not verified
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
  *       500:
  *         description: Internal server error
  */
 
-async function login(req,res) {
+async function login(req,res,next) {
   try {
     const parsed = loginSchema.safeParse(req.body);
-if (!parsed.success) {
-  const errors = parsed.error.issues.map(e => ({
-    field: e.path.join('.'),
-    message: e.message
-  }));
-  return res.status(400).json({ errors });
-}
+if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
     const { identifier, password } = parsed.data;
-    const user = await prisma.user.findFirst({ where:{ OR:[{ username: identifier},{ email: identifier }] } });
-    if (!user) return res.status(401).json({ message:'email or username is wrong' });
+    const user = await prisma.user.findFirst({ where:{ OR:[{ username: identifier},{ email: identifier }] }, include:{ role:true } });
+    const account = user ? user.id : identifier;
+    if (await tooManyAttempts(res, [[loginByAccount, account], [loginByIp, req.ip]])) return;
+
+    if (!user) {
+      await Promise.all([loginByAccount.fail(account), loginByIp.fail(req.ip)]);
+      throw new UnauthorizedError('WRONG_IDENTIFIER');
+    }
+
+    if (!await verifyPassword(password,user.password)) {
+      await Promise.all([loginByAccount.fail(account), loginByIp.fail(req.ip)]);
+      throw new UnauthorizedError('WRONG_PASSWORD');
+    }
+    await loginByAccount.reset(account);
+    if (user.email && !user.emailVerified) { await sendVerificationCode(user, 'EMAIL_VERIFY', { locale: resolveLocale(user, req) }); throw new ForbiddenError('EMAIL_NOT_VERIFIED', undefined, { needsVerification:true }); }
+
+    // Accounts with 2FA get a challenge for /rawa/2fa/verify instead of tokens
+    const session = await startSession(user, req);
+    if (session.twoFactorRequired) return res.json(session);
+    return res.json({ ...session, user: sanitizeUser(user,user) });
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/phone/request-code:
+ *   post:
+ *     summary: Send a one-time login code by SMS
+ *     tags: [Auth]
+ *     description: >
+ *       Works for existing accounts and for new ones; the account is created
+ *       on /rawa/phone/verify. Sending is throttled per number and per IP.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+963912345678"
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Invalid phone number
+ *       429:
+ *         description: Too many codes requested, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+
+async function requestPhoneCode(req,res,next) {
+  try {
+    const parsed = phoneCodeSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { phone } = parsed.data;
+    if (await tooManyAttempts(res, [[smsByPhone, phone], [smsByIp, req.ip]])) return;
+
+    await Promise.all([smsByPhone.fail(phone), smsByIp.fail(req.ip)]);
+    // The account's language when the number already logs into one
+    await sendPhoneCode(phone, { locale: resolveLocale(await findPhoneAccount(phone), req) });
+    return res.json(req.t('VERIFICATION_CODE_SENT'));
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/phone/verify:
+ *   post:
+ *     summary: Login or sign up with a phone number and its SMS code
+ *     tags: [Auth]
+ *     description: >
+ *       Logs into the account that verified this phone. When there is none, a
+ *       new USER account is created, which needs a username; without it the
+ *       answer is 400 with needsSignup and the code stays valid.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+963912345678"
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               username:
+ *                 type: string
+ *                 description: Only for a new account
+ *     responses:
+ *       200:
+ *         description: Logged in, returns a token pair (or a 2FA challenge like login)
+ *       201:
+ *         description: Account created and logged in
+ *       400:
+ *         description: Invalid or expired code, or username needed to sign up
+ *       409:
+ *         description: Username exists
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+
+async function verifyPhoneCode(req,res,next) {
+  try {
+    const parsed = phoneVerifySchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { phone, code, username } = parsed.data;
+    if (await tooManyAttempts(res, [[codeByPhone, phone], [codeByIp, req.ip]])) return;
+
+    const record = await findPhoneCode(phone, code);
+    if (!record) {
+      const [{ locked }] = await Promise.all([codeByPhone.fail(phone), codeByIp.fail(req.ip)]);
+      if (locked) await invalidatePhoneCodes(phone);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByPhone.reset(phone);
+    if (record.expiresAt < new Date()) throw new BadRequestError('CODE_EXPIRED');
+
+    let user = await findPhoneAccount(phone);
+    const created = !user;
+    if (created) {
+      if (!username) throw new BadRequestError('USERNAME_REQUIRED_FOR_SIGNUP', undefined, { needsSignup:true });
+      if (await prisma.user.findUnique({ where:{ username } })) throw new ConflictError('USERNAME_EXISTS');
+    }
+
+    // Phone accounts have no password until the user sets one
+    const [, saved] = await prisma.$transaction([
+      prisma.phoneverification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+      created
+        ? prisma.user.create({
+          data:{
+            username,
+            phone,
+            phoneVerified:true,
+            password: await hashPassword(crypto.randomBytes(32).toString('hex')),
+            roleId: await userRoleId(),
+          },
+          include:{ role:true },
+        })
+        : prisma.user.findUnique({ where:{ id:user.id }, include:{ role:true } }),
+    ]);
+    user = saved;
+    await smsByPhone.reset(phone);
+
+    const session = await startSession(user, req);
+    if (session.twoFactorRequired) return res.json(session);
+    return res.status(created ? 201 : 200).json({ ...session, user: sanitizeUser(user,user) });
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     tags: [Auth]
+ *     description: >
+ *       Returns a new access token and a new refresh token. The refresh token
+ *       sent is no longer valid afterwards; sending it again revokes the session.
+ *       Sessions of SUPER_ADMIN / ADMIN accounts without 2FA are revoked here,
+ *       so the next login starts the 2FA setup.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       403:
+ *         description: Account is not active, or 2FA has to be set up first
+ *       500:
+ *         description: Internal server error
+ */
+
+async function refresh(req,res,next) {
+  try {
+    const parsed = refreshSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { token, refreshToken } = await rotateSession(parsed.data.refreshToken, req);
+    return res.json({ token, refreshToken });
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 description: Revoke every session of the user, not only this one
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+
+async function logout(req,res,next) {
+  try {
+    const parsed = logoutSchema.safeParse(req.body || {});
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
-    if (!await verifyPassword(password,user.password)) return res.status(401).json({ message:'password is wrong' });
-    console.log(user);
-    if (user.email && !user.emailVerified) { await sendVerificationCode(user); return res.status(403).json({ needsVerification:true, message:'Email not verified. Verification code sent.' }); }
+    if (parsed.data.allDevices) await revokeAllSessions(req.user.id);
+    else await revokeSession(req.user.sessionId);
 
-    const token = signJwt({ sub:user.id, username:user.username });
-    return res.json({ token, user: sanitizeUser(user,user) });
+    return res.json(req.t('LOGGED_OUT'));
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 // // Me
@@ -214,32 +517,40 @@ if (!parsed.success) {
  *         description: Invalid code or missing parameters
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
  *       500:
  *         description: Internal server error
  */
 
 // Verify Email
-async function verifyEmail(req,res) {
+async function verifyEmail(req,res,next) {
   try {
     const { code, email } = req.body;
-    if (!code || !email) return res.status(400).json({ message:'Code and email required' });
+    if (!code || !email) throw new BadRequestError('CODE_AND_EMAIL_REQUIRED');
 
-    const user = await prisma.user.findUnique({ where:{ email } });
-    if (!user) return res.status(404).json({ message:'User not found' });
+    const user = await prisma.user.findUnique({ where:{ email }, include:{ role:true } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
 
-    const record = await prisma.emailVerification.findFirst({ where:{ userId:user.id, code, consumed:false }, orderBy:{ id:'desc' } });
-    if (!record) return res.status(400).json({ message:'Invalid code' });
-    if (record.expiresAt < new Date()) return res.status(400).json({ message:'Code expired' });
+    const record = await findCode(user.id, 'EMAIL_VERIFY', code);
+    if (!record) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+    if (record.expiresAt < new Date()) throw new BadRequestError('CODE_EXPIRED');
 
     await prisma.$transaction([
-      prisma.emailVerification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+      prisma.emailverification.update({ where:{ id:record.id }, data:{ consumed:true } }),
       prisma.user.update({ where:{ id:user.id }, data:{ emailVerified:true } }),
     ]);
 
-    const token = signJwt({ sub:user.id, username:user.username });
-    return res.json({ message:'Email verified', token, user:sanitizeUser(user,user) });
+    const session = await startSession(user, req);
+    if (session.twoFactorRequired) return res.json({ ...req.t('EMAIL_VERIFIED'), ...session });
+    return res.json({ ...req.t('EMAIL_VERIFIED'), ...session, user:sanitizeUser(user,user) });
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 /**
@@ -270,17 +581,17 @@ async function verifyEmail(req,res) {
  */
 
 // Resend Verification Code
-async function resendCode(req,res) {
+async function resendCode(req,res,next) {
   try {
     const { email } = req.body;
     const user = await prisma.user.findUnique({ where:{ email } });
-    if (!user) return res.status(404).json({ message:'User not found' });
-    if (!user.email) return res.status(400).json({ message:'No email to verify' });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    if (!user.email) throw new BadRequestError('NO_EMAIL_TO_VERIFY');
 
-    await sendVerificationCode(user);
-    return res.json({ message:'Verification code sent' });
+    await sendVerificationCode(user, 'EMAIL_VERIFY', { locale: resolveLocale(user, req) });
+    return res.json(req.t('VERIFICATION_CODE_SENT'));
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 /**
@@ -311,19 +622,19 @@ async function resendCode(req,res) {
  */
 
 // Forgot Password
-async function forgotPassword(req,res) {
+async function forgotPassword(req,res,next) {
   try {
     const parsed = forgotPasswordSchema.safeParse(req.body);
-    if (!parsed.success) return res.status(400).json({ errors: parsed.error.errors });
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
     const { email } = parsed.data;
     const user = await prisma.user.findUnique({ where:{ email } });
-    if (!user) return res.status(404).json({ message:'User not found' });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
 
-    await sendVerificationCode(user);
-    return res.json({ message:'Verification code sent' });
+    await sendVerificationCode(user, 'PASSWORD_RESET', { locale: resolveLocale(user, req) });
+    return res.json(req.t('VERIFICATION_CODE_SENT'));
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 /**
@@ -355,32 +666,309 @@ async function forgotPassword(req,res) {
  *         description: Invalid code or validation error
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
  *       500:
  *         description: Internal server error
  */
 // Reset Password (via code)
-async function resetPassword(req,res) {
+async function resetPassword(req,res,next) {
   try {
     const parsed = resetPasswordSchema.safeParse(req.body);
-    if (!parsed.success) return res.status(400).json({ errors: parsed.error.errors });
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
     const { email, code, newPassword } = parsed.data;
     const user = await prisma.user.findUnique({ where:{ email } });
-    if (!user) return res.status(404).json({ message:'User not found' });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
 
-    const record = await prisma.emailVerification.findFirst({ where:{ userId:user.id, code, consumed:false }, orderBy:{ id:'desc' } });
-    if (!record) return res.status(400).json({ message:'Invalid code' });
-    if (record.expiresAt < new Date()) return res.status(400).json({ message:'Code expired' });
+    const record = await findCode(user.id, 'PASSWORD_RESET', code);
+    if (!record) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+    if (record.expiresAt < new Date()) throw new BadRequestError('CODE_EXPIRED');
 
     const hashed = await hashPassword(newPassword);
     await prisma.$transaction([
       prisma.user.update({ where:{ id:user.id }, data:{ password:hashed } }),
-      prisma.emailVerification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+      prisma.emailverification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+    ]);
+
+    return res.json(req.t('PASSWORD_RESET'));
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/me:
+ *   get:
+ *     summary: Get the profile of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user with role
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update the profile of the current user
+ *     tags: [Auth]
+ *     description: >
+ *       username and phone are changed right away. A new phone can't be used to
+ *       login until it is confirmed with POST /rawa/me/phone/request-code and
+ *       /rawa/me/phone/confirm. A new email is not applied yet; a confirmation
+ *       code is sent to it and the change is finished with
+ *       POST /rawa/me/email/confirm.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 example: new@example.com
+ *               phone:
+ *                 type: string
+ *               locale:
+ *                 type: string
+ *                 enum: [ar, en]
+ *                 nullable: true
+ *                 description: Language of the emails, null follows the Accept-Language header
+ *     responses:
+ *       200:
+ *         description: Profile updated, emailChangePending is true when a code was sent
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Username or email already exists
+ *       500:
+ *         description: Internal server error
+ */
+
+async function me(req,res,next) {
+  try {
+    const user = await prisma.user.findUnique({ where:{ id:req.user.id }, include:{ role:true } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    return res.json(sanitizeUser(user, req.user));
+
+  } catch(err){ return next(err); }
+}
+
+async function updateMe(req,res,next) {
+  try {
+    const parsed = updateMeSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { username, email, phone, locale } = parsed.data;
+    const user = await prisma.user.findUnique({ where:{ id:req.user.id } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+
+    if (username && username !== user.username && await prisma.user.findUnique({ where:{ username } })) {
+      throw new ConflictError('USERNAME_EXISTS');
+    }
+
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged && await prisma.user.findUnique({ where:{ email } })) {
+      throw new ConflictError('EMAIL_EXISTS');
+    }
+
+    const phoneChanged = phone !== undefined && phone !== user.phone;
+    const updated = await prisma.user.update({
+      where:{ id:user.id },
+      data:{ username, phone, locale, phoneVerified: phoneChanged ? false : undefined },
+      include:{ role:true },
+    });
+    authMiddleware.clearCache(user.id);
+
+    // The email only changes once the code sent to the new address is confirmed
+    if (emailChanged) await sendVerificationCode(updated, 'EMAIL_CHANGE', { to: email, locale: resolveLocale(updated, req) });
+
+    return res.json({ user: sanitizeUser(updated, req.user), emailChangePending: emailChanged });
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/me/email/confirm:
+ *   post:
+ *     summary: Confirm an email change with the code sent to the new address
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Email changed
+ *       400:
+ *         description: Invalid or expired code
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Email already taken meanwhile
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+
+async function confirmEmailChange(req,res,next) {
+  try {
+    const parsed = confirmEmailSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const user = req.user;
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    const record = await findCode(user.id, 'EMAIL_CHANGE', parsed.data.code);
+    if (!record) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+    if (record.expiresAt < new Date()) throw new BadRequestError('CODE_EXPIRED');
+
+    let updated;
+    try {
+      // The code reached the new address, so it counts as verified
+      [updated] = await prisma.$transaction([
+        prisma.user.update({ where:{ id:user.id }, data:{ email:record.email, emailVerified:true }, include:{ role:true } }),
+        prisma.emailverification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+      ]);
+    } catch (err) {
+      if (err.code === 'P2002') throw new ConflictError('EMAIL_EXISTS');
+      throw err;
+    }
+    authMiddleware.clearCache(user.id);
+
+    return res.json({ ...req.t('EMAIL_CHANGED'), user: sanitizeUser(updated, req.user) });
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/me/phone/request-code:
+ *   post:
+ *     summary: Send a code by SMS to confirm the current user's phone
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: No phone on the profile, or it is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many codes requested, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+
+async function requestMyPhoneCode(req,res,next) {
+  try {
+    const user = await prisma.user.findUnique({ where:{ id:req.user.id } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    if (!user.phone) throw new BadRequestError('NO_PHONE_TO_VERIFY');
+    if (user.phoneVerified) throw new BadRequestError('PHONE_ALREADY_VERIFIED');
+
+    if (await tooManyAttempts(res, [[smsByPhone, user.phone], [smsByIp, req.ip]])) return;
+    await Promise.all([smsByPhone.fail(user.phone), smsByIp.fail(req.ip)]);
+    await sendPhoneCode(user.phone, { locale: resolveLocale(user, req) });
+    return res.json(req.t('VERIFICATION_CODE_SENT'));
+
+  } catch(err){ return next(err); }
+}
+
+/**
+ * @swagger
+ * /rawa/me/phone/confirm:
+ *   post:
+ *     summary: Confirm the current user's phone with the SMS code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Afterwards the phone logs into this account on /rawa/phone/verify, and
+ *       no longer into another account that had verified it before.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Phone verified
+ *       400:
+ *         description: Invalid or expired code, or no phone on the profile
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+
+async function confirmMyPhone(req,res,next) {
+  try {
+    const parsed = confirmPhoneSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const user = await prisma.user.findUnique({ where:{ id:req.user.id } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+    if (!user.phone) throw new BadRequestError('NO_PHONE_TO_VERIFY');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    const record = await findPhoneCode(user.phone, parsed.data.code);
+    if (!record) {
+      const [{ locked }] = await Promise.all([codeByAccount.fail(user.id), codeByIp.fail(req.ip)]);
+      if (locked) await invalidatePhoneCodes(user.phone);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+    if (record.expiresAt < new Date()) throw new BadRequestError('CODE_EXPIRED');
+
+    const [, , updated] = await prisma.$transaction([
+      prisma.phoneverification.update({ where:{ id:record.id }, data:{ consumed:true } }),
+      claimPhone(user.id, user.phone),
+      prisma.user.update({ where:{ id:user.id }, data:{ phoneVerified:true }, include:{ role:true } }),
     ]);
+    await smsByPhone.reset(user.phone);
+    authMiddleware.clearCache(user.id);
 
-    return res.json({ message:'Password reset successfully' });
+    return res.json({ ...req.t('PHONE_VERIFIED'), user: sanitizeUser(updated, req.user) });
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 /**
@@ -424,39 +1012,51 @@ async function resetPassword(req,res) {
  *         description: Internal server error
  */
 // Change Password (authenticated)
-async function changePassword(req,res) {
+async function changePassword(req,res,next) {
   try {
     const parsed = changePasswordSchema.safeParse(req.body);
-    if (!parsed.success) return res.status(400).json({ errors: parsed.error.errors });
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
 
     const { oldPassword, newPassword } = parsed.data;
     const userId = Number(req.params.id);
-    if (isNaN(userId)) return res.status(400).json({ message:'Invalid user ID' });
+    if (isNaN(userId)) throw new BadRequestError('INVALID_USER_ID');
 
-    const user = await prisma.user.findUnique({ where:{ id:userId } });
-    if (!user) return res.status(404).json({ message:'User not found' });
+    const user = await prisma.user.findUnique({ where:{ id:userId }, include:{ role:true } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
 
     const currentUser = req.user;
     const isSelf = currentUser.id === user.id;
-    const allowedRoles = ['SUPER_ADMIN','ADMIN','DATA_ENTRY'];
+    // user.role is the relation here, checkRole and hasPermission take the name
+    const target = { role: user.role ? user.role.name : null };
 
-    if (!isSelf && !allowedRoles.includes(currentUser.role)) return res.status(403).json({ message:'No permission to change this password' });
-    if (currentUser.role === 'ADMIN' && user.role === 'SUPER_ADMIN') return res.status(403).json({ message:'Cannot change SUPER_ADMIN password' });
-    if (currentUser.role === 'DATA_ENTRY' && ['SUPER_ADMIN','ADMIN'].includes(user.role)) return res.status(403).json({ message:'Cannot change password for this user' });
+    if (!isSelf) {
+      if (!await hasPermission(currentUser, 'user:write')) throw new ForbiddenError('PASSWORD_CHANGE_FORBIDDEN');
+      if (checkRole.isSuperAdmin(target) && !checkRole.isSuperAdmin(currentUser)) throw new ForbiddenError('SUPER_ADMIN_PASSWORD_FORBIDDEN');
+      // Accounts that manage users are only changed by someone who does too
+      if (await hasPermission(target, 'user:manage') && !await hasPermission(currentUser, 'user:manage')) throw new ForbiddenError('USER_PASSWORD_FORBIDDEN');
+    }
 
-    if (!await verifyPassword(oldPassword,user.password)) return res.status(400).json({ message:'Old password incorrect' });
+    if (!await verifyPassword(oldPassword,user.password)) throw new BadRequestError('OLD_PASSWORD_INCORRECT');
 
     const hashed = await hashPassword(newPassword);
     await prisma.user.update({ where:{ id:user.id }, data:{ password:hashed } });
-    return res.json({ message:'Password changed successfully' });
+    return res.json(req.t('PASSWORD_CHANGED'));
 
-  } catch(err){ return handleError(res,err); }
+  } catch(err){ return next(err); }
 }
 
 module.exports = {
   signup,
   login,
-  // me,
+  refresh,
+  logout,
+  requestPhoneCode,
+  verifyPhoneCode,
+  me,
+  updateMe,
+  confirmEmailChange,
+  requestMyPhoneCode,
+  confirmMyPhone,
   verifyEmail,
   resendCode,
   forgotPassword,
@@ -1,8 +1,13 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { OMIT_SEARCH_NAME } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const { z } = require('zod');
+const { localize, localizeList } = require('../utils/localize');
+const { defineList, paginate } = require('../utils/listQuery');
+const { flattenCounts } = require('../utils/geography');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 const createCountrySchema = z.object({
   engName: z.string().min(2, 'English name must be at least 2 characters'),
@@ -24,9 +29,34 @@ const updateCountrySchema = z.object({
   }).optional(),
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: 'Internal server error' });
+const countryList = defineList({
+  filters: { currencyId: z.coerce.number().int().optional() },
+  sortable: ['engName', 'arName', 'createdAt', 'id'],
+  defaultSort: 'engName',
+  bilingual: true,
+});
+
+const treeQuerySchema = z.object({
+  countryId: z.coerce.number().int().positive().optional(),
+});
+
+const nameSelect = { id: true, engName: true, arName: true };
+
+// province / district relations as provinces / districts, _count as xxxCount
+function toTreeNode({ province, district, ...node }) {
+  const result = flattenCounts(node);
+  if (province) result.provinces = province.map(toTreeNode);
+  if (district) result.districts = district.map(toTreeNode);
+  return result;
+}
+
+// localizeList() on every level so the children follow the collation too
+function localizeTree(nodes, lang) {
+  return localizeList(nodes, lang).map(node => ({
+    ...node,
+    ...(node.provinces && { provinces: localizeTree(node.provinces, lang) }),
+    ...(node.districts && { districts: localizeTree(node.districts, lang) }),
+  }));
 }
 
 /**
@@ -79,17 +109,17 @@ function handleError(res, err) {
  *         description: Internal server error
  */
 
-async function createCountry(req, res) {
+async function createCountry(req, res, next) {
   try {
     const validation = createCountrySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const { engName, arName, currency } = validation.data;
 
     const existing = await prisma.country.findFirst({
       where: { OR: [{ engName }, { arName }] },
     });
-    if (existing) return res.status(409).json({ message: 'Country English or Arabic name already exists' });
+    if (existing) throw new ConflictError('COUNTRY_EXISTS');
 
     let currencyRecord = await prisma.currency.findUnique({ where: { code: currency.code } });
     if (!currencyRecord) {
@@ -103,7 +133,7 @@ async function createCountry(req, res) {
 
     return res.status(201).json({ country });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -114,21 +144,105 @@ async function createCountry(req, res) {
  *     summary: Get all countries
  *     tags: [Countries]
  *     description: Retrieve all countries with their currency information.
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *       - in: query
+ *         name: currencyId
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of countries
+ *         description: Page of countries with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
-async function getCountries(req, res) {
+async function getCountries(req, res, next) {
+  try {
+    const { items, meta } = await paginate(prisma.country, countryList, req, { include: { currency: true } });
+    return res.json({ countries: localize(items, req.lang), ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+/**
+ * @swagger
+ * /rawa/country/tree:
+ *   get:
+ *     summary: Get countries with their provinces and districts
+ *     tags: [Countries]
+ *     description: >
+ *       Whole location tree for cascading dropdowns in one call. Countries carry
+ *       provinceCount and mosqueCount, provinces districtCount and mosqueCount,
+ *       districts mosqueCount.
+ *     parameters:
+ *       - in: query
+ *         name: countryId
+ *         schema:
+ *           type: integer
+ *         description: Only this country's branch
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), every level sorted with its collation
+ *     responses:
+ *       200:
+ *         description: Countries, each with provinces and their districts
+ *       400:
+ *         description: Invalid query
+ *       500:
+ *         description: Internal server error
+ */
+async function getGeographyTree(req, res, next) {
   try {
-    const countries = await prisma.country.findMany({ include: { currency: true }, orderBy: { engName: 'asc' } });
-    return res.json({ countries });
+    const validation = treeQuerySchema.safeParse(req.query);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { countryId } = validation.data;
+    const countries = await prisma.country.findMany({
+      where: countryId ? { id: countryId } : {},
+      orderBy: { engName: 'asc' },
+      select: {
+        ...nameSelect,
+        _count: { select: { province: true, mosque: true } },
+        province: {
+          orderBy: { engName: 'asc' },
+          select: {
+            ...nameSelect,
+            _count: { select: { district: true, mosque: true } },
+            district: {
+              orderBy: { engName: 'asc' },
+              select: { ...nameSelect, _count: { select: { mosque: true } } },
+            },
+          },
+        },
+      },
+    });
+
+    return res.json({ countries: localizeTree(countries.map(toTreeNode), req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
+
 /**
  * @swagger
  * /rawa/countries/{id}:
@@ -142,6 +256,12 @@ async function getCountries(req, res) {
  *         schema:
  *           type: integer
  *         description: Country ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: Country found
@@ -153,17 +273,17 @@ async function getCountries(req, res) {
  *         description: Internal server error
  */
 
-async function getCountry(req, res) {
+async function getCountry(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid country ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_COUNTRY_ID');
 
     const country = await prisma.country.findUnique({ where: { id }, include: { currency: true } });
-    if (!country) return res.status(404).json({ message: 'Country not found' });
+    if (!country) throw new NotFoundError('COUNTRY_NOT_FOUND');
 
-    return res.json({ country });
+    return res.json({ country: localize(country, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -222,16 +342,16 @@ async function getCountry(req, res) {
  *         description: Internal server error
  */
 
-async function updateCountry(req, res) {
+async function updateCountry(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid country ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_COUNTRY_ID');
 
     const validation = updateCountrySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const country = await prisma.country.findUnique({ where: { id } });
-    if (!country) return res.status(404).json({ message: 'Country not found' });
+    if (!country) throw new NotFoundError('COUNTRY_NOT_FOUND');
 
     if (validation.data.engName || validation.data.arName) {
       const conflict = await prisma.country.findFirst({
@@ -240,7 +360,7 @@ async function updateCountry(req, res) {
           NOT: { id },
         },
       });
-      if (conflict) return res.status(409).json({ message: 'Country English or Arabic name already exists' });
+      if (conflict) throw new ConflictError('COUNTRY_EXISTS');
     }
 
     if (validation.data.currency) {
@@ -258,7 +378,7 @@ async function updateCountry(req, res) {
 
     return res.json({ country: updatedCountry });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -294,24 +414,25 @@ async function updateCountry(req, res) {
  *         description: Internal server error
  */
 
-async function deleteCountry(req, res) {
+async function deleteCountry(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid country ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_COUNTRY_ID');
 
     const country = await prisma.country.findUnique({ where: { id } });
-    if (!country) return res.status(404).json({ message: 'Country not found' });
+    if (!country) throw new NotFoundError('COUNTRY_NOT_FOUND');
 
     await prisma.country.delete({ where: { id } });
-    return res.json({ message: 'Country deleted successfully' });
+    return res.json(req.t('COUNTRY_DELETED'));
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 module.exports = {
   createCountry,
   getCountries,
+  getGeographyTree,
   getCountry,
   updateCountry,
   deleteCountry,
@@ -3,6 +3,8 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { z } = require('zod');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 // Validation schemas
 const createCurrencySchema = z.object({
@@ -17,15 +19,14 @@ const updateCurrencySchema = z.object({
   exchangeRate: z.number().positive().optional(),
 });
 
-// Error handler
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: 'Internal server error' });
-}
+const currencyList = defineList({
+  sortable: ['code', 'exchangeRate', 'id'],
+  defaultSort: 'code',
+});
 
 /**
  * @swagger
- * /rawa/currencies:
+ * /rawa/currency:
  *   post:
  *     summary: Create a new currency
  *     tags: [Currencies]
@@ -66,16 +67,16 @@ function handleError(res, err) {
  */
 
 // Create currency
-async function createCurrency(req, res) {
+async function createCurrency(req, res, next) {
   try {
     const validation = createCurrencySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const { code, symbol, exchangeRate } = validation.data;
 
     // Check if code exists
     const existing = await prisma.currency.findUnique({ where: { code } });
-    if (existing) return res.status(409).json({ message: 'Currency code already exists' });
+    if (existing) throw new ConflictError('CURRENCY_EXISTS');
 
     const currency = await prisma.currency.create({
       data: { code, symbol, exchangeRate },
@@ -83,35 +84,47 @@ async function createCurrency(req, res) {
 
     return res.status(201).json({ currency });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
  * @swagger
- * /rawa/currencies:
+ * /rawa/currency:
  *   get:
  *     summary: Get all currencies
  *     tags: [Currencies]
  *     description: Retrieve a list of all currencies.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'code'
+ *         description: Comma separated, - for descending. Allowed fields are code, exchangeRate, id
  *     responses:
  *       200:
- *         description: List of currencies
+ *         description: Page of currencies with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
 // Get all currencies
-async function getCurrencies(req, res) {
+async function getCurrencies(req, res, next) {
   try {
-    const currencies = await prisma.currency.findMany({ orderBy: { code: 'asc' } });
-    return res.json({ currencies });
+    const { items, meta } = await paginate(prisma.currency, currencyList, req);
+    return res.json({ currencies: items, ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
  * @swagger
- * /rawa/currencies/{id}:
+ * /rawa/currency/{id}:
  *   get:
  *     summary: Get currency by ID
  *     tags: [Currencies]
@@ -134,22 +147,22 @@ async function getCurrencies(req, res) {
  */
 
 // Get one currency
-async function getCurrency(req, res) {
+async function getCurrency(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid currency ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_CURRENCY_ID');
 
     const currency = await prisma.currency.findUnique({ where: { id } });
-    if (!currency) return res.status(404).json({ message: 'Currency not found' });
+    if (!currency) throw new NotFoundError('CURRENCY_NOT_FOUND');
 
     return res.json({ currency });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
  * @swagger
- * /rawa/currencies/{id}:
+ * /rawa/currency/{id}:
  *   put:
  *     summary: Update a currency
  *     tags: [Currencies]
@@ -195,21 +208,21 @@ async function getCurrency(req, res) {
  */
 
 // Update currency
-async function updateCurrency(req, res) {
+async function updateCurrency(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid currency ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_CURRENCY_ID');
 
     const validation = updateCurrencySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const existing = await prisma.currency.findUnique({ where: { id } });
-    if (!existing) return res.status(404).json({ message: 'Currency not found' });
+    if (!existing) throw new NotFoundError('CURRENCY_NOT_FOUND');
 
     // Check for duplicate code
     if (validation.data.code) {
       const conflict = await prisma.currency.findUnique({ where: { code: validation.data.code } });
-      if (conflict && conflict.id !== id) return res.status(409).json({ message: 'Currency code already exists' });
+      if (conflict && conflict.id !== id) throw new ConflictError('CURRENCY_EXISTS');
     }
 
     const updated = await prisma.currency.update({
@@ -219,12 +232,12 @@ async function updateCurrency(req, res) {
 
     return res.json({ currency: updated });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
  * @swagger
- * /rawa/currencies/{id}:
+ * /rawa/currency/{id}:
  *   delete:
  *     summary: Delete a currency
  *     tags: [Currencies]
@@ -254,18 +267,18 @@ async function updateCurrency(req, res) {
  */
 
 // Delete currency
-async function deleteCurrency(req, res) {
+async function deleteCurrency(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid currency ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_CURRENCY_ID');
 
     const existing = await prisma.currency.findUnique({ where: { id } });
-    if (!existing) return res.status(404).json({ message: 'Currency not found' });
+    if (!existing) throw new NotFoundError('CURRENCY_NOT_FOUND');
 
     await prisma.currency.delete({ where: { id } });
-    return res.json({ message: 'Currency deleted successfully' });
+    return res.json(req.t('CURRENCY_DELETED'));
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -0,0 +1,484 @@
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const { OMIT_SEARCH_NAME } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
+const { z } = require('zod');
+const { DELIVERY_STATUSES, ORDER_STATUS_FOR, assertTransition, actualMinutes, estimatedMinutes } = require('../utils/deliveryStatus');
+const { advanceOrderTo } = require('./orderController');
+const { hasPermission } = require('../utils/permissions');
+const checkRole = require('../utils/roleChecker');
+const { sendTemplateMail } = require('../utils/mailer');
+const { resolveLocale } = require('../utils/locale');
+const { defineList, paginate } = require('../utils/listQuery');
+const { distanceKm } = require('../utils/geography');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const assignDeliverySchema = z.object({
+  orderId: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  factoryId: z.number().int().positive().optional(),
+  estimatedTime: z.number().int().positive('Estimated time is in minutes').optional(),
+});
+
+const updateDeliveryStatusSchema = z.object({
+  status: z.enum(DELIVERY_STATUSES),
+  note: z.string().max(191).optional(),
+});
+
+// Orders a courier can be (re)assigned to
+const assignableOrderStatuses = ['CONFIRMED', 'PREPARING', 'ON_THE_WAY'];
+// Deliveries that can be handed to another courier
+const reassignableStatuses = ['PENDING', 'ASSIGNED', 'FAILED'];
+
+// Where the courier picks the order up
+const factorySelect = {
+  id: true,
+  engName: true,
+  arName: true,
+  phone: true,
+  address: true,
+  latitude: true,
+  longitude: true,
+};
+
+const deliveryInclude = {
+  order: { include: { mosque: true } },
+  user: { select: { id: true, username: true, phone: true } },
+  factory: { select: factorySelect },
+};
+
+// What a courier (anyone without delivery:manage) sees: the delivery, the order reference, the factory
+// to pick up from and only the mosque address, phone and position needed to complete it
+const courierSelect = {
+  id: true,
+  status: true,
+  startTime: true,
+  endTime: true,
+  estimatedTime: true,
+  actualTime: true,
+  distanceKm: true,
+  createdAt: true,
+  factory: { select: factorySelect },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      status: true,
+      deliveryAddress: true,
+      customerNotes: true,
+      deliveryNotes: true,
+      mosque: {
+        select: { id: true, engName: true, arName: true, address: true, phone: true, latitude: true, longitude: true },
+      },
+    },
+  },
+};
+
+const deliveryFilters = {
+  status: z.enum(DELIVERY_STATUSES).optional(),
+};
+
+const deliveryList = defineList({
+  filters: { ...deliveryFilters, userId: z.coerce.number().int().positive().optional() },
+  sortable: ['createdAt', 'startTime', 'endTime', 'status', 'id'],
+  defaultSort: '-createdAt',
+});
+
+// A courier filters their own deliveries by status only
+const myDeliveryList = defineList({
+  filters: deliveryFilters,
+  sortable: ['createdAt', 'startTime', 'endTime', 'status', 'id'],
+  defaultSort: '-createdAt',
+});
+
+async function deliveryQuery(user) {
+  return await hasPermission(user, 'delivery:manage') ? { include: deliveryInclude } : { select: courierSelect };
+}
+
+
+// Emails the customer about the delivery; a mail failure must not fail the update
+async function notifyCustomer(deliveryId, status, note) {
+  try {
+    const delivery = await prisma.delivery.findUnique({
+      where: { id: deliveryId },
+      include: { order: { include: { user: true } } },
+    });
+    const user = delivery && delivery.order.user;
+    if (!user || !user.email) return;
+
+    await sendTemplateMail({
+      to: user.email,
+      template: 'deliveryUpdate',
+      locale: resolveLocale(user),
+      data: { username: user.username, orderNumber: delivery.order.orderNumber, status, note },
+    });
+  } catch (err) {
+    console.error('delivery update email failed:', err);
+  }
+}
+
+async function canHandleDelivery(user, delivery) {
+  return delivery.userId === user.id || hasPermission(user, 'delivery:manage');
+}
+
+/**
+ * @swagger
+ * /rawa/deliveries:
+ *   post:
+ *     summary: Assign a courier to an order
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Needs the delivery:manage permission. Assigns a courier (a user with the
+ *       COURIER role). The order must be CONFIRMED, PREPARING or ON_THE_WAY. A delivery
+ *       that is not yet picked up, or that failed, can be reassigned. With the
+ *       supplying factoryId the factory to mosque distance is stored and, when
+ *       both have coordinates and no estimatedTime is sent, used to estimate it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - userId
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               userId:
+ *                 type: integer
+ *                 description: Courier user ID
+ *               factoryId:
+ *                 type: integer
+ *                 description: Factory the courier picks the order up from
+ *               estimatedTime:
+ *                 type: integer
+ *                 description: Estimated delivery time in minutes, computed from the distance when left out
+ *     responses:
+ *       201:
+ *         description: Courier assigned
+ *       400:
+ *         description: Validation errors or order not ready for delivery
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order, courier or factory not found
+ *       409:
+ *         description: Delivery already in progress or finished
+ *       500:
+ *         description: Internal server error
+ */
+
+async function assignDelivery(req, res, next) {
+  try {
+    const validation = assignDeliverySchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { orderId, userId, factoryId, estimatedTime } = validation.data;
+
+    const courier = await prisma.user.findUnique({ where: { id: userId }, include: { role: true } });
+    if (!courier || !checkRole.isCourier({ role: courier.role?.name })) throw new NotFoundError('COURIER_NOT_FOUND');
+    if (courier.status !== 'ACTIVE') throw new BadRequestError('COURIER_NOT_ACTIVE');
+
+    const factory = factoryId ? await prisma.factory.findUnique({ where: { id: factoryId } }) : null;
+    if (factoryId && !factory) throw new NotFoundError('FACTORY_NOT_FOUND');
+
+    const delivery = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({ where: { id: orderId }, include: { delivery: true, mosque: true } });
+      if (!order) {
+        throw new NotFoundError('ORDER_NOT_FOUND');
+      }
+      if (!assignableOrderStatuses.includes(order.status)) {
+        throw new BadRequestError('ORDER_NOT_ASSIGNABLE', { status: order.status });
+      }
+      if (order.delivery && !reassignableStatuses.includes(order.delivery.status)) {
+        throw new ConflictError('DELIVERY_ALREADY_STARTED', { status: order.delivery.status });
+      }
+
+      // Without a new factory the stored one and its distance are kept
+      const distance = factory ? distanceKm(factory, order.mosque) : undefined;
+      const data = {
+        userId,
+        factoryId,
+        distanceKm: distance,
+        status: 'ASSIGNED',
+        estimatedTime: estimatedTime || estimatedMinutes(distance),
+        startTime: null,
+        endTime: null,
+        actualTime: null,
+      };
+
+      const saved = order.delivery
+        ? await tx.delivery.update({ where: { id: order.delivery.id }, data })
+        : await tx.delivery.create({ data: { ...data, orderId } });
+
+      await advanceOrderTo(tx, order, ORDER_STATUS_FOR.ASSIGNED, req.user, 'Courier assigned');
+
+      return tx.delivery.findUnique({ where: { id: saved.id }, include: deliveryInclude });
+    });
+
+    notifyCustomer(delivery.id, 'ASSIGNED');
+
+    return res.status(201).json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/deliveries:
+ *   get:
+ *     summary: Get all deliveries
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Needs the delivery:manage permission.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, startTime, endTime, status, id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ASSIGNED, PICKED_UP, DELIVERING, DELIVERED, FAILED]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by courier
+ *     responses:
+ *       200:
+ *         description: Page of deliveries with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getDeliveries(req, res, next) {
+  try {
+    const { items, meta } = await paginate(prisma.delivery, deliveryList, req, { include: deliveryInclude });
+    return res.json({ deliveries: items, ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/deliveries/mine:
+ *   get:
+ *     summary: Get deliveries assigned to the current courier
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Needs the delivery:handle permission. Couriers only get their own
+ *       deliveries with the order reference and the mosque address and phone.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, startTime, endTime, status, id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ASSIGNED, PICKED_UP, DELIVERING, DELIVERED, FAILED]
+ *         description: Filter by delivery status
+ *     responses:
+ *       200:
+ *         description: Page of the courier's deliveries with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getMyDeliveries(req, res, next) {
+  try {
+    const { items, meta } = await paginate(prisma.delivery, myDeliveryList, req, {
+      where: { userId: req.user.id },
+      ...await deliveryQuery(req.user),
+    });
+    return res.json({ deliveries: items, ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/deliveries/{id}:
+ *   get:
+ *     summary: Get delivery by ID
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       The assigned courier and users with delivery:manage can view a delivery.
+ *       Couriers only get the order reference and the mosque address and phone.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery found
+ *       400:
+ *         description: Invalid delivery ID
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Delivery not found
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getDeliveryById(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_DELIVERY_ID');
+
+    const found = await prisma.delivery.findUnique({ where: { id } });
+    if (!found) throw new NotFoundError('DELIVERY_NOT_FOUND');
+    if (!await canHandleDelivery(req.user, found)) throw new ForbiddenError('DELIVERY_VIEW_FORBIDDEN');
+
+    const delivery = await prisma.delivery.findUnique({ where: { id }, ...await deliveryQuery(req.user) });
+    return res.json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/deliveries/{id}/status:
+ *   patch:
+ *     summary: Move a delivery to its next step
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       The assigned courier (or a user with delivery:manage) moves the delivery through
+ *       ASSIGNED → PICKED_UP → DELIVERING → DELIVERED, or to FAILED at any step.
+ *       Picking up sets startTime, DELIVERED/FAILED set endTime and actualTime
+ *       (minutes). The order status follows the delivery: PICKED_UP and
+ *       DELIVERING put it ON_THE_WAY, DELIVERED delivers it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PICKED_UP, DELIVERING, DELIVERED, FAILED]
+ *               note:
+ *                 type: string
+ *                 description: Saved as the order delivery notes
+ *     responses:
+ *       200:
+ *         description: Delivery updated
+ *       400:
+ *         description: Validation errors or illegal transition
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Order was cancelled
+ *       500:
+ *         description: Internal server error
+ */
+
+async function updateDeliveryStatus(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_DELIVERY_ID');
+
+    const validation = updateDeliveryStatusSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { status, note } = validation.data;
+
+    const delivery = await prisma.$transaction(async (tx) => {
+      const current = await tx.delivery.findUnique({ where: { id }, include: { order: true } });
+      if (!current) {
+        throw new NotFoundError('DELIVERY_NOT_FOUND');
+      }
+      if (!await canHandleDelivery(req.user, current)) {
+        throw new ForbiddenError('DELIVERY_UPDATE_FORBIDDEN');
+      }
+      assertTransition(current, status);
+
+      const now = new Date();
+      const data = { status };
+      if (status === 'PICKED_UP') data.startTime = now;
+      if (status === 'DELIVERED' || status === 'FAILED') {
+        data.endTime = now;
+        data.actualTime = actualMinutes(current.startTime, now);
+      }
+
+      const { count } = await tx.delivery.updateMany({ where: { id, status: current.status }, data });
+      if (count === 0) {
+        throw new ConflictError('DELIVERY_CHANGED');
+      }
+
+      if (note) await tx.order.update({ where: { id: current.orderId }, data: { deliveryNotes: note } });
+
+      const target = ORDER_STATUS_FOR[status];
+      if (target) await advanceOrderTo(tx, current.order, target, req.user, `Delivery ${status}`);
+
+      return tx.delivery.findUnique({ where: { id }, ...await deliveryQuery(req.user) });
+    });
+
+    notifyCustomer(id, status, note);
+
+    return res.json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  assignDelivery,
+  getDeliveries,
+  getMyDeliveries,
+  getDeliveryById,
+  updateDeliveryStatus,
+};
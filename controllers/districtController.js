@@ -1,9 +1,14 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { OMIT_SEARCH_NAME } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const { z } = require('zod');
+const { localize } = require('../utils/localize');
+const { defineList, paginate } = require('../utils/listQuery');
+const { flattenCounts } = require('../utils/geography');
 const checkRole = require('../utils/roleChecker');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 const createDistrictSchema = z.object({
   engName: z.string().min(2, 'English name must be at least 2 characters'),
@@ -17,10 +22,12 @@ const updateDistrictSchema = z.object({
   provinceId: z.number().int().optional(),
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: 'Internal server error' });
-}
+const districtList = defineList({
+  filters: { provinceId: z.coerce.number().int().optional() },
+  sortable: ['engName', 'arName', 'createdAt', 'id'],
+  defaultSort: 'engName',
+  bilingual: true,
+});
 
 /**
  * @swagger
@@ -63,10 +70,10 @@ function handleError(res, err) {
  *         description: Internal server error
  */
 
-async function createDistrict(req, res) {
+async function createDistrict(req, res, next) {
   try {
     const validation = createDistrictSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const { engName, arName, provinceId } = validation.data;
 
@@ -74,7 +81,7 @@ async function createDistrict(req, res) {
       where: { provinceId, OR: [{ engName }, { arName }] },
     });
     if (existing)
-      return res.status(409).json({ message: "District already exists in this province" });
+      throw new ConflictError('DISTRICT_EXISTS');
 
     const district = await prisma.district.create({
       data: { engName, arName, provinceId },
@@ -83,7 +90,7 @@ async function createDistrict(req, res) {
 
     return res.status(201).json({ district });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -93,22 +100,41 @@ async function createDistrict(req, res) {
  *     summary: Get all districts
  *     tags: [Districts]
  *     description: Retrieve a list of all districts with their province.
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *       - in: query
+ *         name: provinceId
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of districts
+ *         description: Page of districts with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
-async function getDistricts(req, res) {
+async function getDistricts(req, res, next) {
   try {
-    const districts = await prisma.district.findMany({
-      include: { province: true },
-      orderBy: { engName: 'asc' },
-    });
-    return res.json({ districts });
+    const { items, meta } = await paginate(prisma.district, districtList, req, { include: { province: true } });
+    return res.json({ districts: localize(items, req.lang), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -124,6 +150,12 @@ async function getDistricts(req, res) {
  *         schema:
  *           type: integer
  *         description: District ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: District found
@@ -135,20 +167,20 @@ async function getDistricts(req, res) {
  *         description: Internal server error
  */
 
-async function getDistrictById(req, res) {
+async function getDistrictById(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid district ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_DISTRICT_ID');
 
     const district = await prisma.district.findUnique({
       where: { id },
       include: { province: true },
     });
-    if (!district) return res.status(404).json({ message: 'District not found' });
+    if (!district) throw new NotFoundError('DISTRICT_NOT_FOUND');
 
-    return res.json({ district });
+    return res.json({ district: localize(district, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -197,16 +229,16 @@ async function getDistrictById(req, res) {
  *         description: Internal server error
  */
 
-async function updateDistrict(req, res) {
+async function updateDistrict(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid district ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_DISTRICT_ID');
 
     const validation = updateDistrictSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const district = await prisma.district.findUnique({ where: { id } });
-    if (!district) return res.status(404).json({ message: 'District not found' });
+    if (!district) throw new NotFoundError('DISTRICT_NOT_FOUND');
 
     if (validation.data.engName || validation.data.arName) {
       const conflict = await prisma.district.findFirst({
@@ -219,7 +251,7 @@ async function updateDistrict(req, res) {
           provinceId: validation.data.provinceId || district.provinceId,
         },
       });
-      if (conflict) return res.status(409).json({ message: 'District English or Arabic name already exists in this province' });
+      if (conflict) throw new ConflictError('DISTRICT_NAME_EXISTS');
     }
 
     const updatedDistrict = await prisma.district.update({
@@ -230,7 +262,7 @@ async function updateDistrict(req, res) {
 
     return res.json({ district: updatedDistrict });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -264,24 +296,82 @@ async function updateDistrict(req, res) {
  *         description: Internal server error
  */
 
-async function deleteDistrict(req, res) {
+async function deleteDistrict(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid district ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_DISTRICT_ID');
 
     const district = await prisma.district.findUnique({ where: { id } });
-    if (!district) return res.status(404).json({ message: 'District not found' });
+    if (!district) throw new NotFoundError('DISTRICT_NOT_FOUND');
 
     await prisma.district.delete({ where: { id } });
-    return res.json({ message: 'District deleted successfully' });
+    return res.json(req.t('DISTRICT_DELETED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/province/{id}/districts:
+ *   get:
+ *     summary: Get the districts of a province
+ *     tags: [Districts]
+ *     description: Each district carries its mosqueCount.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Province ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *     responses:
+ *       200:
+ *         description: Page of districts with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid province ID or query
+ *       404:
+ *         description: Province not found
+ *       500:
+ *         description: Internal server error
+ */
+async function getProvinceDistricts(req, res, next) {
+  try {
+    const provinceId = Number(req.params.id);
+    if (isNaN(provinceId)) throw new BadRequestError('INVALID_PROVINCE_ID');
+
+    const province = await prisma.province.findUnique({ where: { id: provinceId }, select: { id: true } });
+    if (!province) throw new NotFoundError('PROVINCE_NOT_FOUND');
+
+    const { items, meta } = await paginate(prisma.district, districtList, req, {
+      where: { provinceId },
+      include: { _count: { select: { mosque: true } } },
+    });
+    return res.json({ districts: localize(items.map(flattenCounts), req.lang), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 module.exports = {
   createDistrict,
   getDistricts,
+  getProvinceDistricts,
   getDistrictById,
   updateDistrict,
   deleteDistrict,
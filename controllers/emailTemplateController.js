@@ -0,0 +1,97 @@
+'use strict';
+
+const { z } = require('zod');
+const { SUPPORTED_LOCALES } = require('../utils/locale');
+const { renderEmail, listTemplates, sampleData } = require('../utils/emailTemplates');
+const { ValidationError } = require('../utils/errors');
+
+const previewSchema = z.object({
+  locale: z.enum(SUPPORTED_LOCALES).default('ar'),
+  format: z.enum(['html', 'text', 'json']).default('html'),
+});
+
+
+/**
+ * @swagger
+ * /rawa/email-templates:
+ *   get:
+ *     summary: List the transactional email templates
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Template names and the supported locales
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+async function getEmailTemplates(req, res, next) {
+  try {
+    return res.json({ templates: listTemplates(), locales: SUPPORTED_LOCALES });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/email-templates/{name}/preview:
+ *   get:
+ *     summary: Render a template with sample data
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: verification
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *           default: ar
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, text, json]
+ *           default: html
+ *         description: html and text return the body as is, json returns subject, html and text
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *       400:
+ *         description: Invalid locale or format
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Unknown template
+ *       500:
+ *         description: Internal server error
+ */
+async function previewEmailTemplate(req, res, next) {
+  try {
+    const validation = previewSchema.safeParse(req.query);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { locale, format } = validation.data;
+    const email = renderEmail(req.params.name, locale, sampleData(req.params.name));
+
+    if (format === 'html') return res.type('html').send(email.html);
+    if (format === 'text') return res.type('text').send(email.text);
+    return res.json(email);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  getEmailTemplates,
+  previewEmailTemplate,
+};
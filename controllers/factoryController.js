@@ -1,32 +1,39 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { OMIT_SEARCH_NAME, searchNameOf, searchNameFor } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const { z } = require('zod');
 const checkRole = require('../utils/roleChecker');
+const { localize } = require('../utils/localize');
+const { defineList, paginate } = require('../utils/listQuery');
+const { withCoordinates } = require('../utils/geography');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
-const createFactorySchema = z.object({
+const createFactorySchema = withCoordinates(z.object({
   engName: z.string().min(2, 'English name must be at least 2 characters'),
   arName: z.string().min(2, 'Arabic name must be at least 2 characters'),
   phone: z.string().min(7, 'Phone must be at least 7 characters'),
   email: z.string().email(),
   address: z.string().optional(),
   countryId: z.number().int().optional(),
-});
+}));
 
-const updateFactorySchema = z.object({
+const updateFactorySchema = withCoordinates(z.object({
   engName: z.string().min(2).optional(),
   arName: z.string().min(2).optional(),
   phone: z.string().min(7).optional(),
   email: z.string().email().optional(),
   address: z.string().optional(),
   countryId: z.number().int().optional(),
-});
+}));
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: 'Internal server error' });
-}
+const factoryList = defineList({
+  filters: { countryId: z.coerce.number().int().optional() },
+  sortable: ['engName', 'arName', 'createdAt', 'id'],
+  defaultSort: 'engName',
+  bilingual: true,
+});
 
 /**
  * @swagger
@@ -61,6 +68,15 @@ function handleError(res, err) {
  *                 type: string
  *               countryId:
  *                 type: integer
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *                 description: Sent together with latitude
  *     responses:
  *       201:
  *         description: Factory created successfully
@@ -77,24 +93,34 @@ function handleError(res, err) {
  */
 
 // Create Factory
-async function createFactory(req, res) {
+async function createFactory(req, res, next) {
   try {
     const validation = createFactorySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
-    const { engName, arName, phone, email, address, countryId } = validation.data;
+    const { engName, arName, phone, email, address, latitude, longitude, countryId } = validation.data;
 
     // Check if factory with same email exists
     const existing = await prisma.factory.findUnique({ where: { email } });
-    if (existing) return res.status(409).json({ message: 'Email already exists' });
+    if (existing) throw new ConflictError('FACTORY_EMAIL_EXISTS');
 
     const factory = await prisma.factory.create({
-      data: { engName, arName, phone, email, address, countryId },
+      data: {
+        engName,
+        arName,
+        searchName: searchNameOf({ engName, arName }),
+        phone,
+        email,
+        address,
+        latitude,
+        longitude,
+        countryId,
+      },
     });
 
     return res.status(201).json({ factory });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -104,22 +130,42 @@ async function createFactory(req, res) {
  *     summary: Get all factories
  *     tags: [Factories]
  *     description: Retrieve a list of all factories.
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *       - in: query
+ *         name: countryId
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of factories
+ *         description: Page of factories with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
 // Get all factories
-async function getFactories(req, res) {
+async function getFactories(req, res, next) {
   try {
-    const factories = await prisma.factory.findMany({
-      orderBy: { engName: 'asc' },
-    });
-    return res.json({ factories });
+    const { items, meta } = await paginate(prisma.factory, factoryList, req);
+    return res.json({ factories: localize(items, req.lang), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -135,6 +181,12 @@ async function getFactories(req, res) {
  *         schema:
  *           type: integer
  *         description: Factory ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: Factory found
@@ -146,17 +198,17 @@ async function getFactories(req, res) {
  *         description: Internal server error
  */
 
-async function getFactoryById(req, res) {
+async function getFactoryById(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid factory ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_FACTORY_ID');
 
     const factory = await prisma.factory.findUnique({ where: { id } });
-    if (!factory) return res.status(404).json({ message: 'Factory not found' });
+    if (!factory) throw new NotFoundError('FACTORY_NOT_FOUND');
 
-    return res.json({ factory });
+    return res.json({ factory: localize(factory, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -194,6 +246,15 @@ async function getFactoryById(req, res) {
  *                 type: string
  *               countryId:
  *                 type: integer
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *                 description: Sent together with latitude
  *     responses:
  *       200:
  *         description: Factory updated successfully
@@ -211,30 +272,30 @@ async function getFactoryById(req, res) {
  *         description: Internal server error
  */
 
-async function updateFactory(req, res) {
+async function updateFactory(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid factory ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_FACTORY_ID');
 
     const validation = updateFactorySchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const factory = await prisma.factory.findUnique({ where: { id } });
-    if (!factory) return res.status(404).json({ message: 'Factory not found' });
+    if (!factory) throw new NotFoundError('FACTORY_NOT_FOUND');
 
     if (validation.data.email && validation.data.email !== factory.email) {
       const conflict = await prisma.factory.findUnique({ where: { email: validation.data.email } });
-      if (conflict) return res.status(409).json({ message: 'Email already exists' });
+      if (conflict) throw new ConflictError('FACTORY_EMAIL_EXISTS');
     }
 
     const updatedFactory = await prisma.factory.update({
       where: { id },
-      data: { ...validation.data },
+      data: { ...validation.data, searchName: searchNameFor(factory, validation.data) },
     });
 
     return res.json({ factory: updatedFactory });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -268,18 +329,18 @@ async function updateFactory(req, res) {
  *         description: Internal server error
  */
 
-async function deleteFactory(req, res) {
+async function deleteFactory(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid factory ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_FACTORY_ID');
 
     const factory = await prisma.factory.findUnique({ where: { id } });
-    if (!factory) return res.status(404).json({ message: 'Factory not found' });
+    if (!factory) throw new NotFoundError('FACTORY_NOT_FOUND');
 
     await prisma.factory.delete({ where: { id } });
-    return res.json({ message: 'Factory deleted successfully' });
+    return res.json(req.t('FACTORY_DELETED'));
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -0,0 +1,317 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { z } = require('zod');
+const { hashPassword } = require('../utils/hash');
+const { sendTemplateMail } = require('../utils/mailer');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../utils/locale');
+const { startSession } = require('../utils/twoFactor');
+const { phoneSchema } = require('../utils/phone');
+const checkRole = require('../utils/roleChecker');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS || 72);
+const INVITE_URL = process.env.INVITE_URL || 'http://localhost:3000/invite';
+
+const createInvitationSchema = z.object({
+  email: z.string().email(),
+  role: z.string(),
+  locale: z.enum(SUPPORTED_LOCALES).optional(),
+});
+
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1),
+  username: z.string().min(3),
+  password: z.string().min(6, 'password should be at least 6 params'),
+  phone: phoneSchema.optional(),
+});
+
+const invitationList = defineList({
+  filters: { roleId: z.coerce.number().int().positive().optional() },
+  sortable: ['createdAt', 'expiresAt', 'email', 'id'],
+  defaultSort: '-createdAt',
+});
+
+// Invite tokens are random, a plain sha256 is enough to store them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function pendingWhere() {
+  return { acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } };
+}
+
+function publicInvitation(invitation) {
+  const { tokenHash, ...rest } = invitation;
+  return rest;
+}
+
+/**
+ * @swagger
+ * /rawa/invitations:
+ *   post:
+ *     summary: Invite a staff member by email
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Sends a one-time invitation link and code to the email. The invitee
+ *       picks a username and password when accepting. The roles you can invite
+ *       are the same ones you can create with POST /rawa/users. A new invitation
+ *       to the same email revokes the previous pending one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: staff@example.com
+ *               role:
+ *                 type: string
+ *                 example: DATA_ENTRY
+ *               locale:
+ *                 type: string
+ *                 enum: [ar, en]
+ *                 description: Language of the email, defaults to the Accept-Language header
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation errors or unknown role
+ *       403:
+ *         description: Role not allowed to invite this type of user
+ *       409:
+ *         description: Email already registered
+ *       500:
+ *         description: Internal server error
+ */
+async function createInvitation(req, res, next) {
+  try {
+    const validation = createInvitationSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { email, role: roleName, locale } = validation.data;
+
+    if (!checkRole.creatableRoles(req.user).includes(roleName)) {
+      throw new ForbiddenError('INVITE_ROLE_FORBIDDEN');
+    }
+
+    const role = await prisma.role.findUnique({ where: { name: roleName } });
+    if (!role) throw new BadRequestError('ROLE_NAME_NOT_FOUND', { name: roleName });
+
+    if (await prisma.user.findUnique({ where: { email } })) {
+      throw new ConflictError('EMAIL_ALREADY_REGISTERED');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.invitation.updateMany({ where: { email, ...pendingWhere() }, data: { revokedAt: new Date() } }),
+      prisma.invitation.create({
+        data: { email, roleId: role.id, tokenHash: hashToken(token), invitedById: req.user.id, expiresAt },
+        include: { role: true },
+      }),
+    ]);
+
+    const link = `${INVITE_URL}?token=${token}`;
+    await sendTemplateMail({
+      to: email,
+      template: 'invitation',
+      locale: locale || resolveLocale(null, req),
+      data: { role: role.name, link, token, expiresAt },
+    });
+
+    return res.status(201).json({ invitation: publicInvitation(invitation) });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, expiresAt, email, id
+ *       - in: query
+ *         name: roleId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Page of invitations not accepted, revoked or expired yet, with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
+ *       403:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+async function getInvitations(req, res, next) {
+  try {
+    const { items, meta } = await paginate(prisma.invitation, invitationList, req, {
+      where: pendingWhere(),
+      include: { role: true, invitedBy: { select: { id: true, username: true } } },
+    });
+    return res.json({ invitations: items.map(publicInvitation), ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invalid ID
+ *       403:
+ *         description: Role not allowed to revoke this invitation
+ *       404:
+ *         description: No pending invitation with this ID
+ *       500:
+ *         description: Internal server error
+ */
+async function revokeInvitation(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_ID');
+
+    const invitation = await prisma.invitation.findFirst({ where: { id, ...pendingWhere() }, include: { role: true } });
+    if (!invitation) throw new NotFoundError('INVITATION_NOT_FOUND');
+
+    if (!checkRole.creatableRoles(req.user).includes(invitation.role.name)) {
+      throw new ForbiddenError('INVITATION_REVOKE_FORBIDDEN');
+    }
+
+    await prisma.invitation.update({ where: { id }, data: { revokedAt: new Date() } });
+    return res.json(req.t('INVITATION_REVOKED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and create the account
+ *     tags: [Invitations]
+ *     description: >
+ *       Creates the account with the invited email and role. The email counts
+ *       as verified since the token was sent to it. Returns a token pair like login,
+ *       or a 2FA challenge for roles where 2FA is mandatory.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Validation errors, invalid or expired invitation
+ *       409:
+ *         description: Username or email already exists
+ *       500:
+ *         description: Internal server error
+ */
+async function acceptInvitation(req, res, next) {
+  try {
+    const validation = acceptInvitationSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { token, username, password, phone } = validation.data;
+    const invitation = await prisma.invitation.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt) {
+      throw new BadRequestError('INVALID_INVITATION');
+    }
+    if (invitation.expiresAt < new Date()) throw new BadRequestError('INVITATION_EXPIRED');
+
+    const existing = await prisma.user.findFirst({ where: { OR: [{ username }, { email: invitation.email }] } });
+    if (existing) throw new ConflictError('USERNAME_OR_EMAIL_EXISTS');
+
+    const passwordHash = await hashPassword(password);
+    const user = await prisma.$transaction(async (tx) => {
+      // Guards against the same invitation being accepted twice at once
+      const { count } = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+      if (!count) {
+        throw new BadRequestError('INVALID_INVITATION');
+      }
+
+      const created = await tx.user.create({
+        data: {
+          username,
+          email: invitation.email,
+          phone,
+          password: passwordHash,
+          roleId: invitation.roleId,
+          emailVerified: true,
+        },
+        include: { role: true },
+      });
+      await tx.invitation.update({ where: { id: invitation.id }, data: { userId: created.id } });
+      return created;
+    });
+
+    // Invited admins enroll in 2FA before getting tokens
+    const session = await startSession(user, req);
+    const { password: _password, twoFactorSecret, ...rest } = user;
+    return res.status(201).json({ ...session, user: rest });
+  } catch (err) {
+    if (err.code === 'P2002') return next(new ConflictError('USERNAME_OR_EMAIL_EXISTS'));
+    return next(err);
+  }
+}
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+};
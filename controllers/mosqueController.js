@@ -1,11 +1,19 @@
 'use strict';
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { OMIT_SEARCH_NAME, searchNameOf, searchNameFor } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const { z } = require('zod');
+const multer = require('multer');
 const checkRole = require('../utils/roleChecker');
+const { localize } = require('../utils/localize');
+const { defineList, paginate, queryBoolean } = require('../utils/listQuery');
+const { resolveLocation, mergeLocation, withCoordinates, distanceSql, boundingBoxSql } = require('../utils/geography');
+const { spreadsheetFilter, readRows } = require('../utils/spreadsheet');
+const mosqueImport = require('../utils/mosqueImport');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
-const createMosqueSchema = z.object({
+const createMosqueSchema = withCoordinates(z.object({
   engName: z.string().min(2, 'English name must be at least 2 characters'),
   arName: z.string().min(2, 'Arabic name must be at least 2 characters'),
   engServName: z.string().min(2, 'English service name required'),
@@ -15,9 +23,9 @@ const createMosqueSchema = z.object({
   countryId: z.number().int().optional(),
   provinceId: z.number().int().optional(),
   districtId: z.number().int().optional(),
-});
+}));
 
-const updateMosqueSchema = z.object({
+const updateMosqueSchema = withCoordinates(z.object({
   engName: z.string().min(2).optional(),
   arName: z.string().min(2).optional(),
   engServName: z.string().min(2).optional(),
@@ -27,12 +35,39 @@ const updateMosqueSchema = z.object({
   countryId: z.number().int().optional(),
   provinceId: z.number().int().optional(),
   districtId: z.number().int().optional(),
+}));
+
+const importQuerySchema = z.object({
+  dryRun: queryBoolean.default(false),
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: 'Internal server error' });
-}
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 500;
+
+// The sheet is parsed from memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: spreadsheetFilter,
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single('file');
+
+const nearbyQuerySchema = z.object({
+  lat: z.coerce.number().min(-90).max(90),
+  lng: z.coerce.number().min(-180).max(180),
+  radius: z.coerce.number().positive().max(500).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+});
+
+const mosqueList = defineList({
+  filters: {
+    countryId: z.coerce.number().int().optional(),
+    provinceId: z.coerce.number().int().optional(),
+    districtId: z.coerce.number().int().optional(),
+  },
+  sortable: ['engName', 'arName', 'createdAt', 'id'],
+  defaultSort: 'engName',
+  bilingual: true,
+});
 
 /**
  * @swagger
@@ -45,6 +80,8 @@ function handleError(res, err) {
  *     description: >
  *       Only logged-in users with roles SUPER_ADMIN, ADMIN, or DATA_ENTRY
  *       can create a new mosque. All required fields must be provided.
+ *       The district must belong to the province and the province to the
+ *       country; missing levels are filled from the most specific one sent.
  *     requestBody:
  *       required: true
  *       content:
@@ -70,23 +107,34 @@ function handleError(res, err) {
  *                 type: integer
  *               districtId:
  *                 type: integer
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *                 description: Sent together with latitude
  *     responses:
  *       201:
  *         description: Mosque created successfully
  *       400:
- *         description: Validation errors
+ *         description: Validation errors, or a district / province outside the given province / country
+ *       404:
+ *         description: Country, province or district not found
  *       409:
  *         description: Mosque already exists in this district
  *       500:
  *         description: Internal server error
  */
 
-async function createMosque(req, res) {
+async function createMosque(req, res, next) {
   try {
     const validation = createMosqueSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
-    const data = validation.data;
+    const data = { ...validation.data, ...await resolveLocation(prisma, validation.data) };
 
     const existing = await prisma.mosque.findFirst({
       where: {
@@ -99,13 +147,13 @@ async function createMosque(req, res) {
         ]
       }
     });
-    if (existing) return res.status(409).json({ message: 'Mosque already exists in this district' });
+    if (existing) throw new ConflictError('MOSQUE_EXISTS');
 
-    const mosque = await prisma.mosque.create({ data });
+    const mosque = await prisma.mosque.create({ data: { ...data, searchName: searchNameOf(data) } });
 
     return res.status(201).json({ mosque });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -118,23 +166,126 @@ async function createMosque(req, res) {
  *       - bearerAuth: []
  *     description: >
  *       Retrieve a list of all mosques.
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *       - in: query
+ *         name: countryId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: provinceId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: districtId
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of mosques
+ *         description: Page of mosques with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
-async function getMosques(req, res) {
+async function getMosques(req, res, next) {
   try {
-    const mosques = await prisma.mosque.findMany({
-      orderBy: { engName: 'asc' },
-    });
-    return res.json({ mosques });
+    const { items, meta } = await paginate(prisma.mosque, mosqueList, req);
+    return res.json({ mosques: localize(items, req.lang), ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+/**
+ * @swagger
+ * /rawa/mosque/nearby:
+ *   get:
+ *     summary: Find mosques near a point
+ *     tags: [Mosques]
+ *     description: >
+ *       Mosques with coordinates, nearest first, each with its great-circle
+ *       distanceKm. With radius only the mosques within it are returned,
+ *       otherwise the `limit` nearest ones.
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           maximum: 500
+ *         description: Search radius in km
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
+ *     responses:
+ *       200:
+ *         description: Mosques ordered by distance
+ *       400:
+ *         description: Invalid query
+ *       500:
+ *         description: Internal server error
+ */
+async function getNearbyMosques(req, res, next) {
+  try {
+    const validation = nearbyQuerySchema.safeParse(req.query);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { lat, lng, radius, limit } = validation.data;
+    const distance = distanceSql(lat, lng);
+
+    const mosques = await prisma.$queryRaw`
+      SELECT id, engName, arName, engServName, arServName, phone, address,
+             latitude, longitude, countryId, provinceId, districtId, ${distance} AS distanceKm
+      FROM Mosque
+      WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+        ${radius ? Prisma.sql`AND ${boundingBoxSql(lat, lng, radius)}` : Prisma.empty}
+      ${radius ? Prisma.sql`HAVING distanceKm <= ${radius}` : Prisma.empty}
+      ORDER BY distanceKm, id
+      LIMIT ${limit}`;
+
+    return res.json({ mosques: localize(mosques, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
+
 /**
  * @swagger
  * /mosques/{id}:
@@ -152,6 +303,12 @@ async function getMosques(req, res) {
  *         schema:
  *           type: integer
  *         description: Mosque ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: Mosque found
@@ -163,17 +320,17 @@ async function getMosques(req, res) {
  *         description: Internal server error
  */
 
-async function getMosqueById(req, res) {
+async function getMosqueById(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid mosque ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_MOSQUE_ID');
 
     const mosque = await prisma.mosque.findUnique({ where: { id } });
-    if (!mosque) return res.status(404).json({ message: 'Mosque not found' });
+    if (!mosque) throw new NotFoundError('MOSQUE_NOT_FOUND');
 
-    return res.json({ mosque });
+    return res.json({ mosque: localize(mosque, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -186,7 +343,9 @@ async function getMosqueById(req, res) {
  *       - bearerAuth: []
  *     description: >
  *       Only logged-in users with roles SUPER_ADMIN, ADMIN, or DATA_ENTRY
- *       can update mosque details. Fields are optional.
+ *       can update mosque details. Fields are optional. A new country or
+ *       province must still contain the stored district (send districtId too
+ *       when moving a mosque); the levels above a new district are derived.
  *     parameters:
  *       - in: path
  *         name: id
@@ -219,29 +378,38 @@ async function getMosqueById(req, res) {
  *                 type: integer
  *               districtId:
  *                 type: integer
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *                 description: Sent together with latitude
  *     responses:
  *       200:
  *         description: Mosque updated successfully
  *       400:
- *         description: Invalid request / Validation errors
+ *         description: Invalid request / Validation errors / location levels that do not match
  *       404:
- *         description: Mosque not found
+ *         description: Mosque, country, province or district not found
  *       409:
  *         description: Mosque name conflict
  *       500:
  *         description: Internal server error
  */
 
-async function updateMosque(req, res) {
+async function updateMosque(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid mosque ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_MOSQUE_ID');
 
     const validation = updateMosqueSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const mosque = await prisma.mosque.findUnique({ where: { id } });
-    if (!mosque) return res.status(404).json({ message: 'Mosque not found' });
+    if (!mosque) throw new NotFoundError('MOSQUE_NOT_FOUND');
 
     if (validation.data.engName || validation.data.arName) {
       const conflict = await prisma.mosque.findFirst({
@@ -253,17 +421,24 @@ async function updateMosque(req, res) {
           NOT: { id }
         }
       });
-      if (conflict) return res.status(409).json({ message: 'Mosque name already exists' });
+      if (conflict) throw new ConflictError('MOSQUE_NAME_EXISTS');
     }
 
+    const moved = mergeLocation(mosque, validation.data);
+    const location = moved ? await resolveLocation(prisma, moved) : {};
+
     const updatedMosque = await prisma.mosque.update({
       where: { id },
-      data: { ...validation.data },
+      data: {
+        ...validation.data,
+        ...location,
+        searchName: searchNameFor(mosque, validation.data),
+      },
     });
 
     return res.json({ mosque: updatedMosque });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 /**
@@ -295,24 +470,207 @@ async function updateMosque(req, res) {
  *         description: Internal server error
  */
 
-async function deleteMosque(req, res) {
+async function deleteMosque(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid mosque ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_MOSQUE_ID');
 
     const mosque = await prisma.mosque.findUnique({ where: { id } });
-    if (!mosque) return res.status(404).json({ message: 'Mosque not found' });
+    if (!mosque) throw new NotFoundError('MOSQUE_NOT_FOUND');
 
     await prisma.mosque.delete({ where: { id } });
-    return res.json({ message: 'Mosque deleted successfully' });
+    return res.json(req.t('MOSQUE_DELETED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/district/{id}/mosques:
+ *   get:
+ *     summary: Get the mosques of a district
+ *     tags: [Mosques]
+ *     description: Mosques of one district, for the last level of the location dropdowns.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: District ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *     responses:
+ *       200:
+ *         description: Page of mosques with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid district ID or query
+ *       404:
+ *         description: District not found
+ *       500:
+ *         description: Internal server error
+ */
+async function getDistrictMosques(req, res, next) {
+  try {
+    const districtId = Number(req.params.id);
+    if (isNaN(districtId)) throw new BadRequestError('INVALID_DISTRICT_ID');
+
+    const district = await prisma.district.findUnique({ where: { id: districtId }, select: { id: true } });
+    if (!district) throw new NotFoundError('DISTRICT_NOT_FOUND');
+
+    const { items, meta } = await paginate(prisma.mosque, mosqueList, req, { where: { districtId } });
+    return res.json({ mosques: localize(items, req.lang), ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/mosque/import:
+ *   post:
+ *     summary: Import mosques from a CSV or XLSX file
+ *     tags: [Mosques]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       The first row holds the column names engName, arName, engServName,
+ *       arServName and phone (required) and address, latitude, longitude,
+ *       country, province and district (optional); case, spaces, dashes and
+ *       underscores in the names are ignored. Country, province and district
+ *       are given by Arabic or English name and must fit into each other.
+ *       Every row is checked like POST /rawa/mosque, including duplicates
+ *       within the file. Nothing is saved unless all rows are valid; with
+ *       dryRun only the report is returned.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the file without saving anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv or .xlsx, at most 5 MB and 5000 rows
+ *     responses:
+ *       200:
+ *         description: Dry run report { dryRun, total, valid, invalid, errors }, errors listing each bad row with its field errors
+ *       201:
+ *         description: Mosques created, with the same report and the created count
+ *       400:
+ *         description: Missing or unreadable file, missing columns, too many rows, or rows with errors (listed in details)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+async function importMosques(req, res, next) {
+  try {
+    const query = importQuerySchema.safeParse(req.query);
+    if (!query.success) throw new ValidationError(query.error.issues);
+    if (!req.file) throw new BadRequestError('IMPORT_FILE_REQUIRED');
+
+    const { headers, rows } = await readRows(req.file, { maxRows: IMPORT_MAX_ROWS });
+    const missing = mosqueImport.missingColumns(headers);
+    if (missing.length) throw new BadRequestError('IMPORT_COLUMNS_MISSING', { columns: missing.join(', ') });
+
+    const locations = await mosqueImport.loadLocations(prisma);
+    const checked = rows.map(({ row, values }) => {
+      const record = mosqueImport.toRecord(values);
+      const { location, errors } = mosqueImport.resolveNames(locations, record);
+      const { country, province, district, ...fields } = record;
+
+      const validation = createMosqueSchema.safeParse({ ...fields, ...location });
+      const issues = validation.success ? [] : validation.error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        code: issue.code,
+        message: issue.message,
+      }));
+      const nameErrors = errors.map(({ field, code, params }) => ({ field, ...req.t(code, params) }));
+
+      return { row, data: validation.success ? validation.data : null, errors: [...nameErrors, ...issues] };
+    });
+
+    // Duplicates are checked against stored mosques and the rows above
+    const candidates = checked.filter(entry => !entry.errors.length);
+    const stored = new Map();
+    const accepted = new Map();
+    if (candidates.length) {
+      const namesakes = await mosqueImport.findNamesakes(prisma, candidates.map(entry => entry.data));
+      namesakes.forEach(mosque => mosqueImport.addNamesake(stored, mosque));
+    }
+    for (const entry of candidates) {
+      if (mosqueImport.findNamesake(stored, entry.data)) {
+        entry.errors.push({ field: 'engName', ...req.t('MOSQUE_EXISTS') });
+        continue;
+      }
+      const earlier = mosqueImport.findNamesake(accepted, entry.data);
+      if (earlier) {
+        entry.errors.push({ field: 'engName', ...req.t('IMPORT_DUPLICATE_ROW', { row: earlier.row }) });
+        continue;
+      }
+      mosqueImport.addNamesake(accepted, entry.data, entry);
+    }
+
+    const invalid = checked.filter(entry => entry.errors.length);
+    const report = {
+      total: checked.length,
+      valid: checked.length - invalid.length,
+      invalid: invalid.length,
+      errors: invalid.map(({ row, errors }) => ({ row, errors })),
+    };
+
+    if (query.data.dryRun) return res.json({ dryRun: true, ...report });
+    if (invalid.length) throw new BadRequestError('IMPORT_HAS_ERRORS', { count: invalid.length }, report);
+
+    const now = new Date();
+    const data = checked.map(entry => ({ ...entry.data, searchName: searchNameOf(entry.data), updatedAt: now }));
+    const created = await prisma.$transaction(async tx => {
+      let count = 0;
+      for (let i = 0; i < data.length; i += IMPORT_BATCH_SIZE) {
+        count += (await tx.mosque.createMany({ data: data.slice(i, i + IMPORT_BATCH_SIZE) })).count;
+      }
+      return count;
+    }, { timeout: 60000 });
+
+    return res.status(201).json({ ...req.t('MOSQUES_IMPORTED', { count: created }), dryRun: false, ...report, created });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 module.exports = {
+  importUpload,
+  importMosques,
   createMosque,
   getMosques,
+  getNearbyMosques,
+  getDistrictMosques,
   getMosqueById,
   updateMosque,
   deleteMosque,
@@ -0,0 +1,521 @@
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const { OMIT_SEARCH_NAME } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
+const crypto = require('crypto');
+const { z } = require('zod');
+const { ORDER_STATUSES, ORDER_FLOW, nextStatuses, assertTransition } = require('../utils/orderStatus');
+const { reserveStock, releaseStock } = require('../utils/stock');
+const { hasPermission } = require('../utils/permissions');
+const { sendTemplateMail } = require('../utils/mailer');
+const { resolveLocale } = require('../utils/locale');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const orderItemSchema = z.object({
+  productId: z.number().int().positive(),
+  quantity: z.number().int().positive('Quantity must be at least 1'),
+});
+
+const createOrderSchema = z.object({
+  mosqueId: z.number().int().positive(),
+  items: z.array(orderItemSchema).min(1, 'Order must contain at least one product'),
+  deliveryAddress: z.string().optional(),
+  customerNotes: z.string().optional(),
+});
+
+const updateStatusSchema = z.object({
+  status: z.enum(ORDER_STATUSES),
+  note: z.string().max(191).optional(),
+});
+
+
+// Money is handled in cents so Decimal columns never go through float math
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+function fromCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// Unit price after the product discount, never below zero
+function discountedUnitCents(product) {
+  const price = toCents(product.price);
+  if (!product.discountType || product.discountValue == null) return price;
+
+  let discount = 0;
+  if (product.discountType === 'AMOUNT') discount = toCents(product.discountValue);
+  if (product.discountType === 'PERCENT') discount = Math.round(price * Number(product.discountValue) / 100);
+
+  return Math.max(price - discount, 0);
+}
+
+// e.g. RW-20250904-7F3A9C
+function generateOrderNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `RW-${date}-${suffix}`;
+}
+
+// Reserves stock and creates the order in one transaction, retrying the
+// whole transaction on the rare orderNumber collision
+async function placeOrder(data, lines, attempts = 5) {
+  for (let i = 0; ; i++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await reserveStock(tx, lines);
+        return tx.order.create({
+          data: { ...data, orderNumber: generateOrderNumber(), orderitem: { create: lines } },
+          include: { orderitem: true, mosque: true },
+        });
+      });
+    } catch (err) {
+      if (err.code !== 'P2002' || i + 1 >= attempts) throw err;
+    }
+  }
+}
+
+// Emails the customer a summary; a mail failure must not fail the order
+async function sendOrderConfirmation(order, products, req) {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: order.userId } });
+    if (!user || !user.email) return;
+
+    const byId = new Map(products.map(p => [p.id, p]));
+    const items = order.orderitem.map(item => ({
+      arName: byId.get(item.productId).arName,
+      engName: byId.get(item.productId).engName,
+      quantity: item.quantity,
+      totalPrice: String(item.totalPrice),
+    }));
+
+    await sendTemplateMail({
+      to: user.email,
+      template: 'orderConfirmation',
+      locale: resolveLocale(user, req),
+      data: {
+        username: user.username,
+        orderNumber: order.orderNumber,
+        mosque: order.mosque,
+        totalAmount: String(order.totalAmount),
+        items,
+      },
+    });
+  } catch (err) {
+    console.error('order confirmation email failed:', err);
+  }
+}
+
+/**
+ * Moves an order to a new status and records the transition.
+ * Pass a transaction client so the stock given back on cancel and the
+ * status change commit together.
+ */
+async function changeOrderStatus(db, order, toStatus, actor, note, options) {
+  await assertTransition(order, toStatus, actor, options);
+
+  // Only move from the status we checked, so two concurrent requests
+  // can't both cancel (and restock) the same order
+  const { count } = await db.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: { status: toStatus },
+  });
+  if (count === 0) {
+    throw new ConflictError('ORDER_CHANGED');
+  }
+
+  if (toStatus === 'CANCELLED') {
+    const items = await db.orderitem.findMany({ where: { orderId: order.id } });
+    await releaseStock(db, items);
+  }
+
+  await db.orderstatushistory.create({
+    data: { orderId: order.id, fromStatus: order.status, toStatus, note, actorId: actor ? actor.id : null },
+  });
+
+  return db.order.findUnique({ where: { id: order.id } });
+}
+
+/**
+ * Walks the order forward along ORDER_FLOW until it reaches `target`,
+ * recording every step. Used by the delivery workflow, which has already
+ * checked that the caller may move the delivery.
+ */
+async function advanceOrderTo(db, order, target, actor, note) {
+  if (!ORDER_FLOW.includes(order.status)) {
+    throw new ConflictError('ORDER_NOT_IN_FLOW', { status: order.status });
+  }
+
+  let current = order;
+  while (ORDER_FLOW.indexOf(current.status) < ORDER_FLOW.indexOf(target)) {
+    const next = ORDER_FLOW[ORDER_FLOW.indexOf(current.status) + 1];
+    current = await changeOrderStatus(db, current, next, actor, note, { skipPermissionCheck: true });
+  }
+  return current;
+}
+
+async function canViewOrder(user, order) {
+  return order.userId === user.id || hasPermission(user, 'order:read');
+}
+
+const orderList = defineList({
+  filters: {
+    status: z.enum(ORDER_STATUSES).optional(),
+    mosqueId: z.coerce.number().int().positive().optional(),
+  },
+  sortable: ['createdAt', 'totalAmount', 'status', 'id'],
+  defaultSort: '-createdAt',
+});
+
+/**
+ * @swagger
+ * /rawa/orders:
+ *   post:
+ *     summary: Place a new order for a mosque
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Any logged-in user can place an order. Prices are taken from the
+ *       products (after their discount) and totals are computed on the server,
+ *       so any price sent by the client is ignored. Stock is reserved with the
+ *       order and given back if the order is cancelled.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mosqueId
+ *               - items
+ *             properties:
+ *               mosqueId:
+ *                 type: integer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               deliveryAddress:
+ *                 type: string
+ *               customerNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order placed successfully
+ *       400:
+ *         description: Validation errors or unavailable product
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mosque or product not found
+ *       409:
+ *         description: Not enough stock for a product
+ *       500:
+ *         description: Internal server error
+ */
+
+async function createOrder(req, res, next) {
+  try {
+    const validation = createOrderSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { mosqueId, items, deliveryAddress, customerNotes } = validation.data;
+
+    const mosque = await prisma.mosque.findUnique({ where: { id: mosqueId } });
+    if (!mosque) throw new NotFoundError('MOSQUE_NOT_FOUND');
+
+    // Merge repeated lines of the same product
+    const quantities = new Map();
+    for (const item of items) {
+      quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+    }
+
+    const productIds = [...quantities.keys()];
+    const products = await prisma.product.findMany({ where: { id: { in: productIds } } });
+    if (products.length !== productIds.length) {
+      const found = products.map(p => p.id);
+      const missing = productIds.filter(id => !found.includes(id));
+      throw new NotFoundError('PRODUCT_NOT_FOUND', undefined, { productIds: missing });
+    }
+
+    const inactive = products.filter(p => p.status !== 'ACTIVE');
+    if (inactive.length) {
+      throw new BadRequestError('PRODUCT_NOT_AVAILABLE', undefined, { productIds: inactive.map(p => p.id) });
+    }
+
+    let totalCents = 0;
+    const lines = products.map(product => {
+      const quantity = quantities.get(product.id);
+      const unitCents = discountedUnitCents(product);
+      const lineCents = unitCents * quantity;
+      totalCents += lineCents;
+      return {
+        productId: product.id,
+        quantity,
+        unitPrice: fromCents(unitCents),
+        totalPrice: fromCents(lineCents),
+      };
+    });
+
+    const data = {
+      userId: req.user.id,
+      mosqueId,
+      totalAmount: fromCents(totalCents),
+      deliveryAddress: deliveryAddress || mosque.address,
+      customerNotes,
+      statusHistory: { create: { toStatus: 'PENDING', actorId: req.user.id } },
+    };
+
+    const order = await placeOrder(data, lines);
+    sendOrderConfirmation(order, products, req);
+
+    return res.status(201).json({ order });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/orders:
+ *   get:
+ *     summary: Get orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Users with the order:read permission see all orders, other users only
+ *       see the orders they placed.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Comma separated, - for descending. Allowed fields are createdAt, totalAmount, status, id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, CONFIRMED, PREPARING, ON_THE_WAY, DELIVERED, CANCELLED]
+ *       - in: query
+ *         name: mosqueId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Page of orders with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getOrders(req, res, next) {
+  try {
+    const where = await hasPermission(req.user, 'order:read') ? {} : { userId: req.user.id };
+    const { items, meta } = await paginate(prisma.order, orderList, req, {
+      where,
+      include: { orderitem: true, mosque: true },
+    });
+    return res.json({ orders: items, ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/orders/{id}:
+ *   get:
+ *     summary: Get order by ID
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Users can view their own orders. Users with the order:read permission can view any order.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order found
+ *       400:
+ *         description: Invalid order ID
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getOrderById(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_ORDER_ID');
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: { orderitem: { include: { product: true } }, mosque: true },
+    });
+    if (!order) throw new NotFoundError('ORDER_NOT_FOUND');
+    if (!await canViewOrder(req.user, order)) throw new ForbiddenError('ORDER_VIEW_FORBIDDEN');
+
+    return res.json({ order });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/orders/{id}/status:
+ *   patch:
+ *     summary: Change order status
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Moves the order along PENDING → CONFIRMED → PREPARING → ON_THE_WAY → DELIVERED.
+ *       Any non-final order can be CANCELLED. Confirming needs order:confirm,
+ *       preparing and sending out need order:process, delivering needs
+ *       order:deliver and cancelling needs order:cancel; the user who placed
+ *       the order may also cancel it while it is still PENDING.
+ *       Every change is recorded in the order status history. Cancelling an
+ *       order gives its reserved stock back.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, CONFIRMED, PREPARING, ON_THE_WAY, DELIVERED, CANCELLED]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status changed
+ *       400:
+ *         description: Validation errors or illegal transition
+ *       403:
+ *         description: Not allowed to perform this transition
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order status was changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+
+async function updateOrderStatus(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_ORDER_ID');
+
+    const validation = updateStatusSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { status, note } = validation.data;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({ where: { id } });
+      if (!order) {
+        throw new NotFoundError('ORDER_NOT_FOUND');
+      }
+      return changeOrderStatus(tx, order, status, req.user, note);
+    });
+
+    return res.json({ order: updated, nextStatuses: nextStatuses(updated.status) });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/orders/{id}/history:
+ *   get:
+ *     summary: Get order status history
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Lists every status change of the order with who made it and when.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Status history, oldest first
+ *       400:
+ *         description: Invalid order ID
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+
+async function getOrderHistory(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_ORDER_ID');
+
+    const order = await prisma.order.findUnique({ where: { id } });
+    if (!order) throw new NotFoundError('ORDER_NOT_FOUND');
+    if (!await canViewOrder(req.user, order)) throw new ForbiddenError('ORDER_VIEW_FORBIDDEN');
+
+    const history = await prisma.orderstatushistory.findMany({
+      where: { orderId: id },
+      include: { actor: { select: { id: true, username: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return res.json({ history });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  createOrder,
+  getOrders,
+  getOrderById,
+  updateOrderStatus,
+  getOrderHistory,
+  changeOrderStatus,
+  advanceOrderTo,
+};
@@ -1,10 +1,16 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { OMIT_SEARCH_NAME, searchNameOf, searchNameFor } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { statusForQuantity } = require('../utils/stock');
+const { localize } = require('../utils/localize');
+const { z } = require('zod');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
 
 const multerStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -20,7 +26,7 @@ const multerFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image')) {
     cb(null, true);
   } else {
-    cb(new Error('الملف ليس صورة! يرجى رفع صورة فقط.'), false);
+    cb(new BadRequestError('FILE_NOT_IMAGE'), false);
   }
 };
 
@@ -37,6 +43,13 @@ const upload = multer({
 
 const uploadMultiplePhotos = upload.array('photos', 20); // upload many photos max 20
 
+const productList = defineList({
+  filters: { status: z.enum(['ACTIVE', 'INACTIVE', 'OUT_OF_STOCK']).optional() },
+  sortable: ['engName', 'arName', 'price', 'quantity', 'createdAt', 'id'],
+  defaultSort: 'engName',
+  bilingual: true,
+});
+
 /**
  * @swagger
  * /products:
@@ -88,7 +101,7 @@ const uploadMultiplePhotos = upload.array('photos', 20); // upload many photos m
  */
 
 
-async function createProduct(req, res) {
+async function createProduct(req, res, next) {
   try {
     const { engName, arName, quantity, value, price, discountType, discountValue, status, description } = req.body;
 
@@ -121,6 +134,7 @@ async function createProduct(req, res) {
       data: {
         engName,
         arName,
+        searchName: searchNameOf({ engName, arName }),
         quantity: quantity || 0,
         value,
         price,
@@ -135,8 +149,7 @@ async function createProduct(req, res) {
 
     return res.status(201).json({ product });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -149,20 +162,42 @@ async function createProduct(req, res) {
  *     security:
  *       - bearerAuth: []
  *     description: Retrieve a list of all products with their images.
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'engName'
+ *         description: Comma separated, - for descending. Allowed fields are name, engName, arName, price, quantity, createdAt, id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, INACTIVE, OUT_OF_STOCK]
  *     responses:
  *       200:
- *         description: List of products
+ *         description: Page of products with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 
-async function getProducts(req, res) {
+async function getProducts(req, res, next) {
   try {
-    const products = await prisma.product.findMany({ include: { files: true }, orderBy: { engName: 'asc' } });
-    return res.json({ products });
+    const { items, meta } = await paginate(prisma.product, productList, req, { include: { files: true } });
+    return res.json({ products: localize(items, req.lang), ...meta });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -182,6 +217,12 @@ async function getProducts(req, res) {
  *         schema:
  *           type: integer
  *         description: Product ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: Product found
@@ -193,18 +234,17 @@ async function getProducts(req, res) {
  *         description: Internal server error
  */
 
-async function getProductById(req, res) {
+async function getProductById(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid product ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_PRODUCT_ID');
 
     const product = await prisma.product.findUnique({ where: { id }, include: { files: true } });
-    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
 
-    return res.json({ product });
+    return res.json({ product: localize(product, req.lang) });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -219,6 +259,8 @@ async function getProductById(req, res) {
  *     description: >
  *       Only logged-in users with roles SUPER_ADMIN, ADMIN, or DATA_ENTRY
  *       can update product details. Supports updating images (multipart/form-data).
+ *       When quantity changes and no status is sent, the status becomes
+ *       OUT_OF_STOCK at zero and ACTIVE again on restock.
  *     parameters:
  *       - in: path
  *         name: id
@@ -267,13 +309,13 @@ async function getProductById(req, res) {
  *         description: Internal server error
  */
 
-async function updateProduct(req, res) {
+async function updateProduct(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid product ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_PRODUCT_ID');
 
     const product = await prisma.product.findUnique({ where: { id }, include: { files: true } });
-    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
 
     const { engName, arName, quantity, value, price, discountType, discountValue, status, description } = req.body;
 
@@ -285,17 +327,23 @@ async function updateProduct(req, res) {
       fileUrl: `/uploads/${f.filename}`,
     }));
 
+    // Keep ACTIVE / OUT_OF_STOCK in step with the new quantity unless a status is sent
+    const nextStatus = status === undefined && quantity !== undefined
+      ? statusForQuantity(Number(quantity), product.status)
+      : status;
+
     const updatedProduct = await prisma.product.update({
       where: { id },
       data: {
         engName,
         arName,
+        searchName: searchNameFor(product, { engName, arName }),
         quantity,
         value,
         price,
         discountType,
         discountValue,
-        status,
+        status: nextStatus,
         description,
         files: { create: fileData },
       },
@@ -304,8 +352,7 @@ async function updateProduct(req, res) {
 
     return res.json({ product: updatedProduct });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -337,19 +384,18 @@ async function updateProduct(req, res) {
  *       500:
  *         description: Internal server error
  */
-async function deleteProduct(req, res) {
+async function deleteProduct(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid product ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_PRODUCT_ID');
 
     const product = await prisma.product.findUnique({ where: { id } });
-    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
 
     await prisma.product.delete({ where: { id } });
-    return res.json({ message: 'Product deleted successfully' });
+    return res.json(req.t('PRODUCT_DELETED'));
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
@@ -1,8 +1,13 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { OMIT_SEARCH_NAME } = require('../utils/search');
+const prisma = new PrismaClient({ omit: OMIT_SEARCH_NAME });
 const { z } = require('zod');
+const { localize } = require('../utils/localize');
+const { defineList, paginate } = require('../utils/listQuery');
+const { flattenCounts } = require('../utils/geography');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 const createProvinceSchema = z.object({
   engName: z.string().min(2, "English name is required"),
@@ -16,10 +21,12 @@ const updateProvinceSchema = z.object({
   countryId: z.number().int().optional(),
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(500).json({ message: err.message || "Internal server error" });
-}
+const provinceList = defineList({
+  filters: { countryId: z.coerce.number().int().optional() },
+  sortable: ['engName', 'arName', 'createdAt', 'id'],
+  defaultSort: 'id',
+  bilingual: true,
+});
 
 /**
  * @swagger
@@ -55,11 +62,11 @@ function handleError(res, err) {
  *       500:
  *         description: Internal server error
  */
-async function createProvince(req, res) {
+async function createProvince(req, res, next) {
   try {
     const validation = createProvinceSchema.safeParse(req.body);
     if (!validation.success)
-      return res.status(400).json({ errors: validation.error.errors });
+      throw new ValidationError(validation.error.issues);
 
     const { engName, arName, countryId } = validation.data;
 
@@ -68,7 +75,7 @@ async function createProvince(req, res) {
       where: { countryId, OR: [{ engName }, { arName }] },
     });
     if (existing)
-      return res.status(409).json({ message: "Province already exists in this country" });
+      throw new ConflictError('PROVINCE_EXISTS');
 
     const province = await prisma.province.create({
       data: { engName, arName, countryId },
@@ -77,7 +84,7 @@ async function createProvince(req, res) {
 
     return res.status(201).json({ province });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -88,21 +95,40 @@ async function createProvince(req, res) {
  *   get:
  *     summary: Get all provinces
  *     tags: [Provinces]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'id'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *       - in: query
+ *         name: countryId
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of provinces with their country, mosques, and districts
+ *         description: Page of provinces with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
-async function getProvinces(req, res) {
+async function getProvinces(req, res, next) {
   try {
-    const provinces = await prisma.province.findMany({
-      include: { country: true },
-      orderBy: { id: "asc" },
-    });
-    return res.json({ provinces });
+    const { items, meta } = await paginate(prisma.province, provinceList, req, { include: { country: true } });
+    return res.json({ provinces: localize(items, req.lang), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -119,6 +145,12 @@ async function getProvinces(req, res) {
  *         schema:
  *           type: integer
  *         description: Province ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
  *     responses:
  *       200:
  *         description: Province found
@@ -131,20 +163,20 @@ async function getProvinces(req, res) {
  */
 
 
-async function getProvinceById(req, res) {
+async function getProvinceById(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: "Invalid ID" });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ID');
 
     const province = await prisma.province.findUnique({
       where: { id },
       include: { country: true, mosques: true, districts: true },
     });
-    if (!province) return res.status(404).json({ message: "Province not found" });
+    if (!province) throw new NotFoundError('PROVINCE_NOT_FOUND');
 
-    return res.json({ province });
+    return res.json({ province: localize(province, req.lang) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -192,17 +224,17 @@ async function getProvinceById(req, res) {
  *         description: Internal server error
  */
 
-async function updateProvince(req, res) {
+async function updateProvince(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: "Invalid ID" });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ID');
 
     const validation = updateProvinceSchema.safeParse(req.body);
     if (!validation.success)
-      return res.status(400).json({ errors: validation.error.errors });
+      throw new ValidationError(validation.error.issues);
 
     const province = await prisma.province.findUnique({ where: { id } });
-    if (!province) return res.status(404).json({ message: "Province not found" });
+    if (!province) throw new NotFoundError('PROVINCE_NOT_FOUND');
 
     if (validation.data.engName || validation.data.arName || validation.data.countryId) {
       const conflict = await prisma.province.findFirst({
@@ -216,7 +248,7 @@ async function updateProvince(req, res) {
         },
       });
       if (conflict)
-        return res.status(409).json({ message: "Province name already exists in this country" });
+        throw new ConflictError('PROVINCE_NAME_EXISTS');
     }
 
     const updated = await prisma.province.update({
@@ -227,7 +259,7 @@ async function updateProvince(req, res) {
 
     return res.json({ province: updated });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -259,24 +291,82 @@ async function updateProvince(req, res) {
  *       500:
  *         description: Internal server error
  */
-async function deleteProvince(req, res) {
+async function deleteProvince(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: "Invalid ID" });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ID');
 
     const province = await prisma.province.findUnique({ where: { id } });
-    if (!province) return res.status(404).json({ message: "Province not found" });
+    if (!province) throw new NotFoundError('PROVINCE_NOT_FOUND');
 
     await prisma.province.delete({ where: { id } });
-    return res.json({ message: "Province deleted successfully" });
+    return res.json(req.t('PROVINCE_DELETED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/country/{id}/provinces:
+ *   get:
+ *     summary: Get the provinces of a country
+ *     tags: [Provinces]
+ *     description: Each province carries districtCount and mosqueCount.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Country ID
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty), sorted by that language's name column in the database collation, not the language's own
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'id'
+ *         description: Comma separated, - for descending. Allowed fields are engName, arName, name, createdAt, id
+ *     responses:
+ *       200:
+ *         description: Page of provinces with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid country ID or query
+ *       404:
+ *         description: Country not found
+ *       500:
+ *         description: Internal server error
+ */
+async function getCountryProvinces(req, res, next) {
+  try {
+    const countryId = Number(req.params.id);
+    if (isNaN(countryId)) throw new BadRequestError('INVALID_COUNTRY_ID');
+
+    const country = await prisma.country.findUnique({ where: { id: countryId }, select: { id: true } });
+    if (!country) throw new NotFoundError('COUNTRY_NOT_FOUND');
+
+    const { items, meta } = await paginate(prisma.province, provinceList, req, {
+      where: { countryId },
+      include: { _count: { select: { district: true, mosque: true } } },
+    });
+    return res.json({ provinces: localize(items.map(flattenCounts), req.lang), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 module.exports = {
   createProvince,
   getProvinces,
+  getCountryProvinces,
   getProvinceById,
   updateProvince,
   deleteProvince,
@@ -4,6 +4,10 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { z } = require('zod');
 const checkRole = require('../utils/roleChecker');
+const { clearPermissionCache } = require('../utils/permissions');
+const authMiddleware = require('../middleware/auth');
+const { defineList, paginate } = require('../utils/listQuery');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
 
 // Validation Schemas
 const createRoleSchema = z.object({
@@ -14,11 +18,24 @@ const updateRoleSchema = z.object({
   name: z.string().min(2).optional(),
 });
 
-// Error handler
-function handleError(res, err) {
-  console.error(err);
-  return res.status(err.status || 500).json({ message: err.message || 'Internal server error' });
-}
+const createPermissionSchema = z.object({
+  name: z.string().regex(/^[a-z_]+:[a-z_]+$/, 'Permission name must look like resource:action'),
+  description: z.string().optional(),
+});
+
+const setRolePermissionsSchema = z.object({
+  permissions: z.array(z.string()),
+});
+
+const roleList = defineList({
+  sortable: ['name', 'createdAt', 'id'],
+  defaultSort: 'name',
+});
+
+const permissionList = defineList({
+  sortable: ['name', 'id'],
+  defaultSort: 'name',
+});
 
 /**
  * @swagger
@@ -28,7 +45,7 @@ function handleError(res, err) {
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
- *     description: Only SUPER_ADMIN users can create a new role.
+ *     description: Needs the role:manage permission.
  *     requestBody:
  *       required: true
  *       content:
@@ -51,20 +68,20 @@ function handleError(res, err) {
  */
 
 // Create Role
-async function createRole(req, res) {
+async function createRole(req, res, next) {
   try {
     const validation = createRoleSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const { name } = validation.data;
 
     const existing = await prisma.role.findUnique({ where: { name } });
-    if (existing) return res.status(409).json({ message: 'Role already exists' });
+    if (existing) throw new ConflictError('ROLE_EXISTS');
 
     const role = await prisma.role.create({ data: { name } });
     return res.status(201).json({ role });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -74,19 +91,31 @@ async function createRole(req, res) {
  *   get:
  *     summary: Get all roles
  *     tags: [Roles]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'name'
+ *         description: Comma separated, - for descending. Allowed fields are name, createdAt, id
  *     responses:
  *       200:
- *         description: List of all roles
+ *         description: Page of roles with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       500:
  *         description: Internal server error
  */
 // Get All Roles
-async function getRoles(req, res) {
+async function getRoles(req, res, next) {
   try {
-    const roles = await prisma.role.findMany({ orderBy: { name: 'asc' } });
-    return res.json({ roles });
+    const { items, meta } = await paginate(prisma.role, roleList, req);
+    return res.json({ roles: items, ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -105,7 +134,7 @@ async function getRoles(req, res) {
  *         description: Role ID
  *     responses:
  *       200:
- *         description: Role found
+ *         description: Role with its permissions and userCount
  *       400:
  *         description: Invalid role ID
  *       404:
@@ -114,17 +143,22 @@ async function getRoles(req, res) {
  *         description: Internal server error
  */
 // Get Single Role
-async function getRole(req, res) {
+async function getRole(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid role ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ROLE_ID');
 
-    const role = await prisma.role.findUnique({ where: { id }, include: { users: true } });
-    if (!role) return res.status(404).json({ message: 'Role not found' });
+    // Only the number of users: the rows would carry password hashes
+    const role = await prisma.role.findUnique({
+      where: { id },
+      include: { permissions: true, _count: { select: { user: true } } },
+    });
+    if (!role) throw new NotFoundError('ROLE_NOT_FOUND');
 
-    return res.json({ role });
+    const { _count, ...fields } = role;
+    return res.json({ role: { ...fields, userCount: _count.user } });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -136,7 +170,7 @@ async function getRole(req, res) {
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
- *     description: Only SUPER_ADMIN users can update a role.
+ *     description: Needs the role:manage permission.
  *     parameters:
  *       - in: path
  *         name: id
@@ -168,28 +202,30 @@ async function getRole(req, res) {
  */
 
 // Update Role
-async function updateRole(req, res) {
+async function updateRole(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid role ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ROLE_ID');
 
     const validation = updateRoleSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const role = await prisma.role.findUnique({ where: { id } });
-    if (!role) return res.status(404).json({ message: 'Role not found' });
+    if (!role) throw new NotFoundError('ROLE_NOT_FOUND');
 
     if (validation.data.name) {
       const conflict = await prisma.role.findUnique({ where: { name: validation.data.name } });
       if (conflict && conflict.id !== id) {
-        return res.status(409).json({ message: 'Role name already exists' });
+        throw new ConflictError('ROLE_NAME_EXISTS');
       }
     }
 
     const updatedRole = await prisma.role.update({ where: { id }, data: validation.data });
+    clearPermissionCache();
+    authMiddleware.clearCache();
     return res.json({ role: updatedRole });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -201,7 +237,7 @@ async function updateRole(req, res) {
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
- *     description: Only SUPER_ADMIN users can delete a  role.
+ *     description: Needs the role:manage permission.
  *     parameters:
  *       - in: path
  *         name: id
@@ -220,18 +256,223 @@ async function updateRole(req, res) {
  *         description: Internal server error
  */
 // Delete Role
-async function deleteRole(req, res) {
+async function deleteRole(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid role ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_ROLE_ID');
 
     const role = await prisma.role.findUnique({ where: { id } });
-    if (!role) return res.status(404).json({ message: 'Role not found' });
+    if (!role) throw new NotFoundError('ROLE_NOT_FOUND');
 
     await prisma.role.delete({ where: { id } });
-    return res.json({ message: 'Role deleted successfully' });
+    clearPermissionCache(role.name);
+    authMiddleware.clearCache();
+    return res.json(req.t('ROLE_DELETED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /roles/{id}/permissions:
+ *   put:
+ *     summary: Set the permissions of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Needs the role:manage permission. Replaces the role permissions with the
+ *       given list of permission names.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["product:write", "order:confirm"]
+ *     responses:
+ *       200:
+ *         description: Role permissions updated
+ *       400:
+ *         description: Validation errors, invalid ID or unknown permission
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Internal server error
+ */
+// Set Role Permissions
+async function setRolePermissions(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_ROLE_ID');
+
+    const validation = setRolePermissionsSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const role = await prisma.role.findUnique({ where: { id } });
+    if (!role) throw new NotFoundError('ROLE_NOT_FOUND');
+
+    const names = [...new Set(validation.data.permissions)];
+    const permissions = await prisma.permission.findMany({ where: { name: { in: names } } });
+    if (permissions.length !== names.length) {
+      const found = permissions.map(p => p.name);
+      throw new BadRequestError('UNKNOWN_PERMISSION', undefined, { permissions: names.filter(n => !found.includes(n)) });
+    }
+
+    const updatedRole = await prisma.role.update({
+      where: { id },
+      data: { permissions: { set: permissions.map(p => ({ id: p.id })) } },
+      include: { permissions: true },
+    });
+    clearPermissionCache(role.name);
+
+    return res.json({ role: updatedRole });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: Get all permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Needs the role:manage permission.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'name'
+ *         description: Comma separated, - for descending. Allowed fields are name, id
+ *     responses:
+ *       200:
+ *         description: Page of permissions with the roles that have them, total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
+ *       500:
+ *         description: Internal server error
+ */
+// Get All Permissions
+async function getPermissions(req, res, next) {
+  try {
+    const { items, meta } = await paginate(prisma.permission, permissionList, req, {
+      include: { roles: { select: { id: true, name: true } } },
+    });
+    return res.json({ permissions: items, ...meta });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   post:
+ *     summary: Create a new permission
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Needs the role:manage permission. A permission only has an effect once a
+ *       route checks it with requirePermission.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: product:write
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Permission created successfully
+ *       400:
+ *         description: Validation errors
+ *       409:
+ *         description: Permission already exists
+ *       500:
+ *         description: Internal server error
+ */
+// Create Permission
+async function createPermission(req, res, next) {
+  try {
+    const validation = createPermissionSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const existing = await prisma.permission.findUnique({ where: { name: validation.data.name } });
+    if (existing) throw new ConflictError('PERMISSION_EXISTS');
+
+    const permission = await prisma.permission.create({ data: validation.data });
+    return res.status(201).json({ permission });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /roles/permissions/{id}:
+ *   delete:
+ *     summary: Delete a permission
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Needs the role:manage permission. Removes it from every role.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Permission ID
+ *     responses:
+ *       200:
+ *         description: Permission deleted successfully
+ *       400:
+ *         description: Invalid permission ID
+ *       404:
+ *         description: Permission not found
+ *       500:
+ *         description: Internal server error
+ */
+// Delete Permission
+async function deletePermission(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_PERMISSION_ID');
+
+    const permission = await prisma.permission.findUnique({ where: { id } });
+    if (!permission) throw new NotFoundError('PERMISSION_NOT_FOUND');
+
+    await prisma.permission.delete({ where: { id } });
+    clearPermissionCache();
+    return res.json(req.t('PERMISSION_DELETED'));
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
@@ -241,4 +482,8 @@ module.exports = {
   getRole,
   updateRole,
   deleteRole,
+  setRolePermissions,
+  getPermissions,
+  createPermission,
+  deletePermission,
 };
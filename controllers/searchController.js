@@ -0,0 +1,151 @@
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { z } = require('zod');
+const { localize } = require('../utils/localize');
+const { normalizeSearch, searchWhere, rankResults } = require('../utils/search');
+const { ValidationError } = require('../utils/errors');
+
+const nameSelect = { id: true, engName: true, arName: true };
+
+// What each searchable entity returns, keyed by ?type=
+const SEARCHABLE = {
+  product: {
+    group: 'products',
+    model: prisma.product,
+    select: { ...nameSelect, price: true, status: true },
+  },
+  mosque: {
+    group: 'mosques',
+    model: prisma.mosque,
+    select: {
+      ...nameSelect,
+      address: true,
+      district: { select: nameSelect },
+      province: { select: nameSelect },
+    },
+  },
+  factory: {
+    group: 'factories',
+    model: prisma.factory,
+    select: { ...nameSelect, address: true, country: { select: nameSelect } },
+  },
+};
+
+const TYPES = Object.keys(SEARCHABLE);
+
+const searchSchema = z.object({
+  q: z.string().trim().min(1).max(100)
+    .refine(q => normalizeSearch(q), 'q has only diacritics or spaces'),
+  type: z.string()
+    .transform(value => value.split(',').map(type => type.trim()))
+    .pipe(z.array(z.enum(TYPES)))
+    .default(TYPES),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+// Hits are ranked in memory, so a few more rows than shown are read
+const CANDIDATES_PER_RESULT = 5;
+
+/**
+ * Where clauses for the candidates, best first: names starting with q, a
+ * word starting with q, then any name holding every word. Each is read in
+ * searchName order, so an exact name comes before longer ones sharing it.
+ */
+function candidateWheres(q) {
+  const normalized = normalizeSearch(q);
+  return [
+    { searchName: { startsWith: normalized } },
+    { searchName: { contains: ` ${normalized}` } },
+    searchWhere(q),
+  ];
+}
+
+async function searchEntity({ model, select }, q, limit) {
+  const take = limit * CANDIDATES_PER_RESULT;
+  const [total, ...groups] = await Promise.all([
+    model.count({ where: searchWhere(q) }),
+    ...candidateWheres(q).map(where => model.findMany({ where, select, orderBy: { searchName: 'asc' }, take })),
+  ]);
+
+  const rows = new Map();
+  for (const row of groups.flat()) if (!rows.has(row.id)) rows.set(row.id, row);
+  return { total, items: rankResults([...rows.values()], q).slice(0, limit) };
+}
+
+/**
+ * @swagger
+ * /rawa/search:
+ *   get:
+ *     summary: Search products, mosques and factories by name
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Matches the Arabic and English names. Arabic diacritics are ignored and
+ *       alef / hamza forms, taa marbuta and alef maqsura match their plain
+ *       letters; English is case-insensitive. Every word of q must appear in
+ *       the name, so part of a name is enough. Hits are grouped by entity and
+ *       ranked exact name, name prefix, word prefix, then substring.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: mosque,factory
+ *         description: Comma separated entities to search (product, mosque, factory), all by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Hits returned per entity
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [ar, en]
+ *         description: Return a single `name` in this language (the other one when empty)
+ *     responses:
+ *       200:
+ *         description: >
+ *           { query, results } where results has products, mosques and factories,
+ *           each { total, items } and every item carrying its score
+ *       400:
+ *         description: Invalid query
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+async function search(req, res, next) {
+  try {
+    const validation = searchSchema.safeParse(req.query);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const { q, type, limit } = validation.data;
+    const types = TYPES.filter(name => type.includes(name));
+    const groups = await Promise.all(types.map(name => searchEntity(SEARCHABLE[name], q, limit)));
+
+    const results = {};
+    types.forEach((name, i) => {
+      results[SEARCHABLE[name].group] = { ...groups[i], items: localize(groups[i].items, req.lang) };
+    });
+
+    return res.json({ query: q, results });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  search,
+};
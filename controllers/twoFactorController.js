@@ -0,0 +1,379 @@
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { z } = require('zod');
+const authMiddleware = require('../middleware/auth');
+const { verifyPassword } = require('../utils/hash');
+const { createSession } = require('../utils/session');
+const { createAttemptLimiter, tooManyAttempts } = require('../utils/attemptLimiter');
+const { generateSecret, otpauthUri, encryptSecret } = require('../utils/totp');
+const {
+  isTwoFactorRequired,
+  readChallenge,
+  regenerateRecoveryCodes,
+  checkTotp,
+  useRecoveryCode,
+} = require('../utils/twoFactor');
+const { BadRequestError, ValidationError, UnauthorizedError, ForbiddenError, ConflictError } = require('../utils/errors');
+
+const codeByAccount = createAttemptLimiter({ name: '2fa:account', maxAttempts: 5, freeAttempts: 2 });
+const codeByIp = createAttemptLimiter({ name: '2fa:ip', maxAttempts: 30, freeAttempts: 10 });
+
+const challengeSchema = z.object({
+  challengeToken: z.string().optional(),
+});
+
+const enableSchema = z.object({
+  challengeToken: z.string().optional(),
+  code: z.string().length(6),
+});
+
+const verifySchema = z.object({
+  challengeToken: z.string().min(1),
+  code: z.string().length(6).optional(),
+  recoveryCode: z.string().min(10).optional(),
+}).refine(data => data.code || data.recoveryCode, { message: 'code or recoveryCode is required' });
+
+const codeSchema = z.object({
+  code: z.string().length(6),
+});
+
+const disableSchema = z.object({
+  password: z.string().min(6),
+  code: z.string().length(6),
+});
+
+
+/**
+ * Lets setup and enable run either with a normal access token or with the
+ * login challenge of an admin who still has to enroll.
+ */
+function authOrChallenge(req, res, next) {
+  if (req.body && req.body.challengeToken) return next();
+  return authMiddleware(req, res, next);
+}
+
+async function actingUser(req) {
+  let userId = req.user ? req.user.id : null;
+  const fromChallenge = !userId;
+  if (fromChallenge) userId = readChallenge(req.body.challengeToken);
+
+  const user = userId ? await prisma.user.findUnique({ where: { id: userId }, include: { role: true } }) : null;
+  if (!user) {
+    throw new UnauthorizedError('INVALID_CHALLENGE');
+  }
+  // A password alone must never be enough to replace an existing second factor
+  if (fromChallenge && user.twoFactorEnabled) {
+    throw new ConflictError('TWO_FACTOR_ALREADY_ENABLED');
+  }
+  return { user, fromChallenge };
+}
+
+// Counts a wrong code for both the account and the IP
+async function wrongCode(user, req) {
+  await Promise.all([codeByAccount.fail(user.id), codeByIp.fail(req.ip)]);
+}
+
+/**
+ * @swagger
+ * /rawa/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Two-Factor]
+ *     description: >
+ *       Returns a new TOTP secret and its otpauth URI (show it as a QR code).
+ *       Nothing is enforced until it is confirmed with /rawa/2fa/enable.
+ *       Use a bearer token, or the challengeToken from login when the role
+ *       requires 2FA and the account is not enrolled yet.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: secret and otpauthUri
+ *       401:
+ *         description: Invalid or expired challenge
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Internal server error
+ */
+async function setupTwoFactor(req, res, next) {
+  try {
+    const parsed = challengeSchema.safeParse(req.body || {});
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { user } = await actingUser(req);
+    if (user.twoFactorEnabled) throw new ConflictError('TWO_FACTOR_ALREADY_ENABLED');
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null },
+    });
+
+    return res.json({ secret, otpauthUri: otpauthUri(secret, user.email || user.username) });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [Two-Factor]
+ *     description: >
+ *       Turns 2FA on and returns the recovery codes, shown only once. When called
+ *       with a login challengeToken the token pair is returned as well.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recoveryCodes returned
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Invalid or expired challenge
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+async function enableTwoFactor(req, res, next) {
+  try {
+    const parsed = enableSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { user, fromChallenge } = await actingUser(req);
+    if (user.twoFactorEnabled) throw new ConflictError('TWO_FACTOR_ALREADY_ENABLED');
+    if (!user.twoFactorSecret) throw new BadRequestError('TWO_FACTOR_SETUP_FIRST');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    if (!await checkTotp(user, parsed.data.code)) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({ where: { id: user.id }, data: { twoFactorEnabled: true } });
+      return regenerateRecoveryCodes(user.id, tx);
+    });
+
+    const response = { ...req.t('TWO_FACTOR_ENABLED'), recoveryCodes };
+    if (fromChallenge) Object.assign(response, await createSession(user, req));
+    return res.json(response);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/2fa/verify:
+ *   post:
+ *     summary: Second login step
+ *     tags: [Two-Factor]
+ *     description: >
+ *       Exchanges the challengeToken returned by login for the token pair, with
+ *       either a code from the authenticator app or an unused recovery code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: token and refreshToken
+ *       400:
+ *         description: Invalid code or validation error
+ *       401:
+ *         description: Invalid or expired challenge
+ *       403:
+ *         description: Account is not active
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+async function verifyTwoFactor(req, res, next) {
+  try {
+    const parsed = verifySchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const { challengeToken, code, recoveryCode } = parsed.data;
+    const userId = readChallenge(challengeToken);
+    const user = userId ? await prisma.user.findUnique({ where: { id: userId }, include: { role: true } }) : null;
+    if (!user || !user.twoFactorEnabled) throw new UnauthorizedError('INVALID_CHALLENGE');
+    if (user.status !== 'ACTIVE') throw new ForbiddenError('ACCOUNT_NOT_ACTIVE');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    const valid = code ? await checkTotp(user, code) : await useRecoveryCode(user, recoveryCode);
+    if (!valid) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+
+    const { token, refreshToken } = await createSession(user, req);
+    const { password, twoFactorSecret, ...rest } = user;
+    return res.json({ token, refreshToken, user: rest });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor]
+ *     description: The old codes stop working. Requires a current code from the app.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recoveryCodes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+async function regenerateCodes(req, res, next) {
+  try {
+    const parsed = codeSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user.twoFactorEnabled) throw new BadRequestError('TWO_FACTOR_NOT_ENABLED');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    if (!await checkTotp(user, parsed.data.code)) {
+      await wrongCode(user, req);
+      throw new BadRequestError('INVALID_CODE');
+    }
+    await codeByAccount.reset(user.id);
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Two-Factor]
+ *     description: Not possible for SUPER_ADMIN and ADMIN, for whom 2FA is mandatory.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Wrong password or code, or 2FA not enabled
+ *       403:
+ *         description: 2FA is mandatory for this role
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After seconds
+ *       500:
+ *         description: Internal server error
+ */
+async function disableTwoFactor(req, res, next) {
+  try {
+    const parsed = disableSchema.safeParse(req.body);
+    if (!parsed.success) throw new ValidationError(parsed.error.issues);
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, include: { role: true } });
+    if (isTwoFactorRequired(user)) throw new ForbiddenError('TWO_FACTOR_MANDATORY');
+    if (!user.twoFactorEnabled) throw new BadRequestError('TWO_FACTOR_NOT_ENABLED');
+    if (await tooManyAttempts(res, [[codeByAccount, user.id], [codeByIp, req.ip]])) return;
+
+    if (!await verifyPassword(parsed.data.password, user.password) || !await checkTotp(user, parsed.data.code)) {
+      await wrongCode(user, req);
+      throw new BadRequestError('WRONG_PASSWORD_OR_CODE');
+    }
+    await codeByAccount.reset(user.id);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+      }),
+      prisma.recoverycode.deleteMany({ where: { userId: user.id } }),
+    ]);
+    return res.json(req.t('TWO_FACTOR_DISABLED'));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  authOrChallenge,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateCodes,
+  disableTwoFactor,
+};
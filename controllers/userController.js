@@ -4,6 +4,16 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { z } = require('zod');
 const bcrypt = require('bcrypt');
+const authMiddleware = require('../middleware/auth');
+const checkRole = require('../utils/roleChecker');
+const { revokeAllSessions, isTwoFactorRequired } = require('../utils/session');
+const { hasPermission } = require('../utils/permissions');
+const { sendVerificationCode } = require('../utils/verificationCode');
+const { resolveLocale } = require('../utils/locale');
+const { defineList, paginate, queryBoolean } = require('../utils/listQuery');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const USER_STATUSES = ['ACTIVE', 'INACTIVE', 'SUSPENDED'];
 
 const createUserSchema = z.object({
   username: z.string().min(3, 'Username must be at least 3 characters'),
@@ -19,18 +29,53 @@ const updateUserSchema = z.object({
   phone: z.string().min(7).optional(),
   password: z.string().min(6).optional(),
   role: z.string().optional(),
+  status: z.enum(USER_STATUSES).optional(),
+});
+
+const userList = defineList({
+  filters: {
+    status: z.enum(USER_STATUSES).optional(),
+    roleId: z.coerce.number().int().optional(),
+    emailVerified: queryBoolean.optional(),
+  },
+  search: ['username', 'email', 'phone'],
+  sortable: ['username', 'email', 'createdAt', 'id'],
+  defaultSort: 'username',
 });
 
-function handleError(res, err) {
-  console.error(err);
-  return res.status(err.status || 500).json({
-    message: err.message || 'Internal server error',
-  });
+const bulkStatusSchema = z.object({
+  ids: z.array(z.number().int()).min(1).max(100),
+  status: z.enum(USER_STATUSES),
+});
+
+// Never send the password hash or the 2FA secret back
+function publicUser(user) {
+  const { password, twoFactorSecret, ...rest } = user;
+  return rest;
+}
+
+// Role name of a user loaded with `include: { role: true }`
+function roleOf(user) {
+  return user.role ? user.role.name : null;
 }
 
+// Only a SUPER_ADMIN may act on a SUPER_ADMIN account
+function protectsSuperAdmin(currentUser, target) {
+  return roleOf(target) === 'SUPER_ADMIN' && !checkRole.isSuperAdmin(currentUser);
+}
+
+async function roleIdFor(name) {
+  const role = await prisma.role.findUnique({ where: { name } });
+  if (!role) {
+    throw new BadRequestError('ROLE_NAME_NOT_FOUND', { name });
+  }
+  return role.id;
+}
+
+
 /**
  * @swagger
- * /users:
+ * /rawa/users:
  *   post:
  *     summary: Create a new user
  *     tags: [Users]
@@ -40,7 +85,7 @@ function handleError(res, err) {
  *       Only users with roles SUPER_ADMIN, ADMIN, or DATA_ENTRY can create users.
  *       Each role can only create specific roles:
  *       - SUPER_ADMIN: can create all roles
- *       - ADMIN: can create ADMIN, DATA_ENTRY, FACTORY_OWNER, EMPLOYEE, USER
+ *       - ADMIN: can create ADMIN, DATA_ENTRY, FACTORY_OWNER, EMPLOYEE, COURIER, USER
  *       - DATA_ENTRY: can create ADMIN, DATA_ENTRY, USER
  *     requestBody:
  *       required: true
@@ -71,40 +116,30 @@ function handleError(res, err) {
  *       500:
  *         description: Internal server error
  */
-async function createUser(req, res) {
+async function createUser(req, res, next) {
   try {
     const validation = createUserSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
     const { username, email, phone, password, role } = validation.data;
 
-    let allowedRolesToCreate = [];
-    switch(req.user.role) {
-      case 'SUPER_ADMIN':
-        allowedRolesToCreate = ['SUPER_ADMIN','ADMIN','DATA_ENTRY','FACTORY_OWNER','EMPLOYEE','USER'];
-        break;
-      case 'ADMIN':
-        allowedRolesToCreate = ['ADMIN','DATA_ENTRY','FACTORY_OWNER','EMPLOYEE','USER'];
-        break;
-      case 'DATA_ENTRY':
-        allowedRolesToCreate = ['ADMIN','DATA_ENTRY','USER'];
-        break;
-      default:
-        return res.status(403).json({ message: 'لا يمكنك إنشاء مستخدم هنا' });
+    const allowedRolesToCreate = checkRole.creatableRoles(req.user);
+    if (!allowedRolesToCreate.length) {
+      throw new ForbiddenError('USER_CREATE_FORBIDDEN');
     }
 
     if (role && !allowedRolesToCreate.includes(role)) {
-      return res.status(403).json({ message: 'لا يمكنك إنشاء هذا النوع من المستخدمين' });
+      throw new ForbiddenError('USER_ROLE_CREATE_FORBIDDEN');
     }
 
     const existing = await prisma.user.findFirst({
       where: { OR: [{ username }, { email }] },
     });
-    if (existing) return res.status(409).json({ message: 'Username or email already exists' });
+    if (existing) throw new ConflictError('USERNAME_OR_EMAIL_EXISTS');
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const emailVerified = ['SUPER_ADMIN','ADMIN','DATA_ENTRY'].includes(req.user.role) ? true : false;
+    const emailVerified = await hasPermission(req.user, 'user:write');
 
     const newUser = await prisma.user.create({
       data: {
@@ -112,24 +147,25 @@ async function createUser(req, res) {
         email,
         phone,
         password: hashedPassword,
-        role: role || 'USER',
+        roleId: await roleIdFor(role || 'USER'),
         emailVerified
       },
+      include: { role: true },
     });
 
     if (!emailVerified && email) {
-      await sendVerificationEmail(newUser);
+      await sendVerificationCode(newUser);
     }
 
-    return res.status(201).json({ user: newUser });
+    return res.status(201).json({ user: publicUser(newUser) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 /**
  * @swagger
- * /users/{id}:
+ * /rawa/users/{id}:
  *   put:
  *     summary: Update a user
  *     tags: [Users]
@@ -137,10 +173,11 @@ async function createUser(req, res) {
  *       - bearerAuth: []
  *     description: >
  *       Users can update their own profile.
- *       SUPER_ADMIN, ADMIN, DATA_ENTRY can update any user.
- *       Only SUPER_ADMIN and ADMIN can change roles.
- *       ADMIN cannot change SUPER_ADMIN accounts.
- *       Only SUPER_ADMIN and ADMIN can change passwords; ADMIN cannot change SUPER_ADMIN passwords.
+ *       The user:write permission allows updating any user.
+ *       Only user:manage allows changing roles and passwords.
+ *       Only a SUPER_ADMIN can change SUPER_ADMIN accounts.
+ *       Only user:manage allows changing the account status; setting it to
+ *       INACTIVE or SUSPENDED revokes all the user's sessions.
  *     parameters:
  *       - in: path
  *         name: id
@@ -164,6 +201,9 @@ async function createUser(req, res) {
  *                 type: string
  *               role:
  *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, INACTIVE, SUSPENDED]
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -179,31 +219,41 @@ async function createUser(req, res) {
  *         description: Internal server error
  */
 
-async function updateUser(req, res) {
+async function updateUser(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_USER_ID');
 
     const validation = updateUserSchema.safeParse(req.body);
-    if (!validation.success) return res.status(400).json({ errors: validation.error.errors });
+    if (!validation.success) throw new ValidationError(validation.error.issues);
 
-    const userToUpdate = await prisma.user.findUnique({ where: { id } });
-    if (!userToUpdate) return res.status(404).json({ message: 'User not found' });
+    const userToUpdate = await prisma.user.findUnique({ where: { id }, include: { role: true } });
+    if (!userToUpdate) throw new NotFoundError('USER_NOT_FOUND');
 
     const currentUser = req.user;
     const isSelf = currentUser.id === id;
-    const canEditOthers = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'].includes(currentUser.role);
+    const canEditOthers = await hasPermission(currentUser, 'user:write');
+    const canManage = await hasPermission(currentUser, 'user:manage');
 
     if (!canEditOthers && !isSelf) {
-      return res.status(403).json({ message: 'للاسف انت لا تملك صلاحية تعديل هذا الحساب' });
+      throw new ForbiddenError('USER_UPDATE_FORBIDDEN');
     }
 
     if (validation.data.role) {
-      if (!['SUPER_ADMIN','ADMIN'].includes(currentUser.role)) {
-        return res.status(403).json({ message: 'لا يمكنك تعديل الدور' });
+      if (!canManage) {
+        throw new ForbiddenError('ROLE_CHANGE_FORBIDDEN');
       }
-      if (currentUser.role === 'ADMIN' && validation.data.role === 'SUPER_ADMIN') {
-        return res.status(403).json({ message: 'لا يمكن للادمن تعيين دور SUPER_ADMIN' });
+      if (validation.data.role === 'SUPER_ADMIN' && !checkRole.isSuperAdmin(currentUser)) {
+        throw new ForbiddenError('ASSIGN_SUPER_ADMIN_FORBIDDEN');
+      }
+    }
+
+    if (validation.data.status) {
+      if (!canManage) {
+        throw new ForbiddenError('STATUS_CHANGE_FORBIDDEN');
+      }
+      if (protectsSuperAdmin(currentUser, userToUpdate)) {
+        throw new ForbiddenError('SUPER_ADMIN_STATUS_FORBIDDEN');
       }
     }
 
@@ -217,14 +267,12 @@ async function updateUser(req, res) {
           NOT: { id },
         },
       });
-      if (conflict) return res.status(409).json({ message: 'Username or email already exists' });
+      if (conflict) throw new ConflictError('USERNAME_OR_EMAIL_EXISTS');
     }
 
     let emailVerified = userToUpdate.emailVerified;
-    if (validation.data.email && !['SUPER_ADMIN','ADMIN','DATA_ENTRY'].includes(currentUser.role)) {
-      emailVerified = false;
-      await sendVerificationEmail(userToUpdate, validation.data.email);
-    }
+    const mustVerifyEmail = validation.data.email && !canEditOthers;
+    if (mustVerifyEmail) emailVerified = false;
 
     // let password = userToUpdate.password;
     // if (validation.data.password) {
@@ -233,32 +281,45 @@ async function updateUser(req, res) {
 let password = userToUpdate.password;
     if (validation.data.password) {
       // if (currentUser.role == 'USER') {
-      if (!['SUPER_ADMIN','ADMIN'].includes(currentUser.role)) {
-        return res.status(403).json({ message: ' لا يمكنه تغيير كلمة السر هنا' });
+      if (!canManage) {
+        throw new ForbiddenError('PASSWORD_UPDATE_FORBIDDEN');
       }
-      if (currentUser.role === 'ADMIN' && userToUpdate.role === 'SUPER_ADMIN') {
-        return res.status(403).json({ message: 'لا يمكن للادمن تغيير كلمة سر حساب سوبر ادمن' });
+      if (protectsSuperAdmin(currentUser, userToUpdate)) {
+        throw new ForbiddenError('SUPER_ADMIN_PASSWORD_UPDATE_FORBIDDEN');
       }
       password = await bcrypt.hash(validation.data.password, 10);
     }
+    const { role, ...fields } = validation.data;
     const updatedUser = await prisma.user.update({
       where: { id },
       data: {
-        ...validation.data,
+        ...fields,
+        roleId: role ? await roleIdFor(role) : undefined,
         password,
         emailVerified
       },
+      include: { role: true },
     });
+    authMiddleware.clearCache(id);
+
+    if (mustVerifyEmail) await sendVerificationCode(updatedUser, 'EMAIL_VERIFY', { locale: resolveLocale(updatedUser, req) });
 
-    return res.json({ user: updatedUser });
+    // Suspending or deactivating an account logs it out everywhere, and so
+    // does a move to a role that needs 2FA, so the next login asks for it
+    const needsTwoFactor = role && role !== roleOf(userToUpdate) && isTwoFactorRequired(updatedUser);
+    if ((validation.data.status && validation.data.status !== 'ACTIVE') || needsTwoFactor) {
+      await revokeAllSessions(id);
+    }
+
+    return res.json({ user: publicUser(updatedUser) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 /**
  * @swagger
- * /users/{id}:
+ * /rawa/users/{id}:
  *   delete:
  *     summary: Delete a user
  *     tags: [Users]
@@ -266,8 +327,8 @@ let password = userToUpdate.password;
  *       - bearerAuth: []
  *     description: >
  *       Users can delete their own account.
- *       SUPER_ADMIN, ADMIN, DATA_ENTRY can delete any user.
- *       ADMIN cannot delete SUPER_ADMIN accounts.
+ *       The user:write permission allows deleting any user.
+ *       Only a SUPER_ADMIN can delete SUPER_ADMIN accounts.
  *     parameters:
  *       - in: path
  *         name: id
@@ -286,70 +347,101 @@ let password = userToUpdate.password;
  *       500:
  *         description: Internal server error
  */
-async function deleteUser(req, res) {
+async function deleteUser(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_USER_ID');
 
-    const userToDelete = await prisma.user.findUnique({ where: { id } });
-    if (!userToDelete) return res.status(404).json({ message: 'User not found' });
+    const userToDelete = await prisma.user.findUnique({ where: { id }, include: { role: true } });
+    if (!userToDelete) throw new NotFoundError('USER_NOT_FOUND');
 
     const currentUser = req.user;
     const isSelf = currentUser.id === id;
-    const canDeleteOthers = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'].includes(currentUser.role);
+    const canDeleteOthers = await hasPermission(currentUser, 'user:write');
 
     if (!canDeleteOthers && !isSelf) {
-      return res.status(403).json({ message: 'للاسف انت لا تملك صلاحية حذف هذا الحساب' });
+      throw new ForbiddenError('USER_DELETE_FORBIDDEN');
     }
 
-    if (currentUser.role === 'ADMIN' && userToDelete.role === 'SUPER_ADMIN') {
-      return res.status(403).json({ message: 'لا يمكن للادمن حذف حساب SUPER_ADMIN' });
+    if (protectsSuperAdmin(currentUser, userToDelete)) {
+      throw new ForbiddenError('SUPER_ADMIN_DELETE_FORBIDDEN');
     }
 
     await prisma.user.delete({ where: { id } });
-    return res.json({ message: 'User deleted successfully' });
+    authMiddleware.clearCache(id);
+    return res.json(req.t('USER_DELETED'));
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 /**
  * @swagger
- * /users:
+ * /rawa/users:
  *   get:
  *     summary: Get all users
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     description: Only SUPER_ADMIN, ADMIN, DATA_ENTRY can view all users.
+ *     description: Requires the user:read permission. Results are paginated.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: 'username'
+ *         description: Comma separated, - for descending. Allowed fields are username, email, createdAt, id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, INACTIVE, SUSPENDED]
+ *       - in: query
+ *         name: roleId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: emailVerified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches part of the username, email or phone
  *     responses:
  *       200:
- *         description: List of users
+ *         description: Page of users with total, totalPages and nextCursor
+ *       400:
+ *         description: Invalid query
  *       403:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-async function getUsers(req, res) {
+async function getUsers(req, res, next) {
   try {
-    const users = await prisma.user.findMany({ orderBy: { username: 'asc' } });
-    return res.json({ users });
+    const { items, meta } = await paginate(prisma.user, userList, req, { include: { role: true } });
+    return res.json({ users: items.map(publicUser), ...meta });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
 /**
  * @swagger
- * /users/{id}:
+ * /rawa/users/{id}:
  *   get:
  *     summary: Get user by ID
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     description: >
- *       Users can view their own info. SUPER_ADMIN, ADMIN, DATA_ENTRY, FACTORY_OWNER
- *       can view any user.
+ *       Users can view their own info. The user:read permission allows viewing
+ *       any user.
  *     parameters:
  *       - in: path
  *         name: id
@@ -367,17 +459,17 @@ async function getUsers(req, res) {
  *       500:
  *         description: Internal server error
  */
-async function getUser(req, res) {
+async function getUser(req, res, next) {
   try {
     const id = Number(req.params.id);
-    if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (isNaN(id)) throw new BadRequestError('INVALID_USER_ID');
 
-    const user = await prisma.user.findUnique({ where: { id } });
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    const user = await prisma.user.findUnique({ where: { id }, include: { role: true } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
 
     const currentUser = req.user;
     const isSelf = currentUser.id === id;
-    const hasFullAccess = ['SUPER_ADMIN','ADMIN','DATA_ENTRY','FACTORY_OWNER'].includes(currentUser.role) || isSelf;
+    const hasFullAccess = isSelf || await hasPermission(currentUser, 'user:read');
 
     if (!hasFullAccess) {
       return res.json({
@@ -387,12 +479,144 @@ async function getUser(req, res) {
       });
     }
 
-    return res.json({ user });
+    return res.json({ user: publicUser(user) });
   } catch (err) {
-    return handleError(res, err);
+    return next(err);
   }
 }
 
+/**
+ * @swagger
+ * /rawa/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Logs the user out on every device. Needs the user:manage permission;
+ *       only a SUPER_ADMIN can revoke SUPER_ADMIN sessions.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       400:
+ *         description: Invalid user ID
+ *       403:
+ *         description: Unauthorized action
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function revokeUserSessions(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (isNaN(id)) throw new BadRequestError('INVALID_USER_ID');
+
+    const user = await prisma.user.findUnique({ where: { id }, include: { role: true } });
+    if (!user) throw new NotFoundError('USER_NOT_FOUND');
+
+    const currentUser = req.user;
+    if (!await hasPermission(currentUser, 'user:manage')) {
+      throw new ForbiddenError('SESSIONS_REVOKE_FORBIDDEN');
+    }
+    if (protectsSuperAdmin(currentUser, user)) {
+      throw new ForbiddenError('SUPER_ADMIN_SESSIONS_FORBIDDEN');
+    }
+
+    const revoked = await revokeAllSessions(id);
+    return res.json({ ...req.t('SESSIONS_REVOKED'), revoked });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /rawa/users/status:
+ *   patch:
+ *     summary: Activate, deactivate or suspend several users at once
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     description: >
+ *       Needs the user:manage permission. Users that can't be changed (a SUPER_ADMIN
+ *       when you are not one, your own account, unknown ids)
+ *       are skipped and listed with the reason (code and message). INACTIVE or SUSPENDED users are
+ *       logged out everywhere.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, INACTIVE, SUSPENDED]
+ *     responses:
+ *       200:
+ *         description: Ids updated and ids skipped
+ *       400:
+ *         description: Validation errors
+ *       403:
+ *         description: Unauthorized action
+ *       500:
+ *         description: Internal server error
+ */
+async function bulkUpdateStatus(req, res, next) {
+  try {
+    const validation = bulkStatusSchema.safeParse(req.body);
+    if (!validation.success) throw new ValidationError(validation.error.issues);
+
+    const currentUser = req.user;
+    if (!await hasPermission(currentUser, 'user:manage')) {
+      throw new ForbiddenError('STATUS_CHANGE_FORBIDDEN');
+    }
+
+    const { status } = validation.data;
+    const ids = [...new Set(validation.data.ids)];
+    const users = await prisma.user.findMany({ where: { id: { in: ids } }, include: { role: true } });
+    const byId = new Map(users.map(u => [u.id, u]));
+
+    const allowed = [];
+    const skipped = [];
+    for (const id of ids) {
+      const user = byId.get(id);
+      if (!user) {
+        skipped.push({ id, ...req.t('USER_NOT_FOUND') });
+      } else if (id === currentUser.id) {
+        skipped.push({ id, ...req.t('OWN_STATUS_FORBIDDEN') });
+      } else if (protectsSuperAdmin(currentUser, user)) {
+        skipped.push({ id, ...req.t('SUPER_ADMIN_STATUS_FORBIDDEN') });
+      } else {
+        allowed.push(id);
+      }
+    }
+
+    if (allowed.length) {
+      await prisma.user.updateMany({ where: { id: { in: allowed } }, data: { status } });
+      for (const id of allowed) {
+        if (status !== 'ACTIVE') await revokeAllSessions(id);
+        else authMiddleware.clearCache(id);
+      }
+    }
+
+    return res.json({ updated: allowed, skipped });
+  } catch (err) {
+    return next(err);
+  }
+}
 
 module.exports = {
   createUser,
@@ -400,4 +624,6 @@ module.exports = {
   deleteUser,
   getUsers,
   getUser,
+  revokeUserSessions,
+  bulkUpdateStatus,
 };
@@ -3,6 +3,47 @@
 const { verifyJwt } = require('../utils/jwt');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Short per-token cache so each request doesn't cost a user lookup
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const cache = new Map();
+
+const blockedStatuses = {
+  INACTIVE: 'ACCOUNT_INACTIVE',
+  SUSPENDED: 'ACCOUNT_SUSPENDED',
+};
+
+function cacheUser(token, user) {
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(token, { user, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+async function loadUser(token, userId, sessionId) {
+  const cached = cache.get(token);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+  cache.delete(token);
+
+  const session = await prisma.session.findUnique({ where: { id: sessionId } });
+  if (!session || session.userId !== userId || session.revokedAt) return null;
+
+  const user = await prisma.user.findUnique({ where: { id: userId }, include: { role: true } });
+  if (!user) return null;
+
+  const currentUser = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    phone: user.phone,
+    status: user.status,
+    roleId: user.roleId,
+    role: user.role ? user.role.name : null,
+    sessionId,
+  };
+  cacheUser(token, currentUser);
+  return currentUser;
+}
 
 async function authMiddleware(req, res, next) {
   try {
@@ -10,38 +51,46 @@ async function authMiddleware(req, res, next) {
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
 
     if (!token) {
-      return res.status(401).json({ message: 'Missing token' });
+      return next(new UnauthorizedError('MISSING_TOKEN'));
     }
 
     const payload = verifyJwt(token);
     if (!payload || !payload.sub) {
-      return res.status(401).json({ message: 'Invalid token' });
+      return next(new UnauthorizedError('INVALID_TOKEN'));
     }
 
     // تحويل sub إلى رقم إذا لزم الأمر
     const userId = Number(payload.sub);
-    if (isNaN(userId)) {
-      return res.status(401).json({ message: 'Invalid token payload' });
+    if (isNaN(userId) || !payload.sid) {
+      return next(new UnauthorizedError('INVALID_TOKEN_PAYLOAD'));
     }
 
-    const user = await prisma.user.findUnique({ where: { id: userId } });
+    const user = await loadUser(token, userId, payload.sid);
     if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+      return next(new UnauthorizedError('SESSION_NOT_FOUND'));
+    }
+
+    if (blockedStatuses[user.status]) {
+      return next(new ForbiddenError(blockedStatuses[user.status]));
     }
 
-    req.user = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      phone: user.phone,
-      status: user.status,
-    };
+    req.user = { ...user };
 
     return next();
   } catch (err) {
-    console.error('authMiddleware error:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 }
 
+/**
+ * Drops cached lookups so a changed role or status applies on the next request.
+ * @param {Number} [userId] only this user's tokens, or everything when omitted
+ */
+authMiddleware.clearCache = function(userId) {
+  if (userId === undefined) return cache.clear();
+  for (const [token, entry] of cache) {
+    if (entry.user.id === userId) cache.delete(token);
+  }
+};
+
 module.exports = authMiddleware;
@@ -0,0 +1,85 @@
+'use strict';
+
+const { ZodError } = require('zod');
+const { Prisma } = require('@prisma/client');
+const multer = require('multer');
+const { translate } = require('../utils/i18n');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+
+/**
+ * Prisma errors a client can cause (duplicate value, missing or still
+ * referenced row) become 4xx; the rest stay internal errors.
+ */
+function fromPrisma(err) {
+  const meta = err.meta || {};
+  switch (err.code) {
+    case 'P2002':
+      return new ConflictError('ALREADY_EXISTS', undefined, { fields: [].concat(meta.target || []) });
+    case 'P2003':
+      return new ConflictError('RELATED_RECORD_CONFLICT', undefined, { field: meta.field_name || null });
+    case 'P2025':
+      return new NotFoundError('RECORD_NOT_FOUND');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Maps anything thrown by a route to an AppError; null for unexpected errors.
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+  if (err instanceof ZodError) return new ValidationError(err.issues);
+  if (err instanceof Prisma.PrismaClientKnownRequestError) return fromPrisma(err);
+  if (err instanceof multer.MulterError) {
+    return new BadRequestError('UPLOAD_ERROR', undefined, { field: err.field || null, reason: err.code });
+  }
+  // Raised by express.json()
+  if (err.type === 'entity.parse.failed') return new BadRequestError('INVALID_JSON');
+  if (err.type === 'entity.too.large') return new AppError(413, 'PAYLOAD_TOO_LARGE');
+  return null;
+}
+
+/**
+ * Writes the { code, message, details, requestId } body for an error.
+ * Also used by helpers that answer directly instead of throwing.
+ */
+function sendError(res, err) {
+  const req = res.req;
+  const appError = toAppError(err) || new AppError(500, 'INTERNAL_ERROR');
+
+  if (appError.status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+
+  return res.status(appError.status).json({
+    code: appError.code,
+    message: translate(appError.code, req.locale || DEFAULT_LOCALE, appError.params),
+    details: appError.details,
+    requestId: req.id,
+  });
+}
+
+// Last middleware: every error passed to next() or thrown in a route ends here.
+// Express recognizes error handlers by their four arguments.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  return sendError(res, err);
+}
+
+// Requests that matched no route
+function notFound(req, res, next) {
+  next(new NotFoundError('ROUTE_NOT_FOUND', { method: req.method, path: req.path }));
+}
+
+module.exports = {
+  errorHandler,
+  notFound,
+  sendError,
+  toAppError,
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Ids forwarded by a proxy or client are kept only if they look harmless in logs
+const VALID_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Gives every request an id (req.id and the X-Request-Id header) so an
+ * error shown to a client can be found in the server logs.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
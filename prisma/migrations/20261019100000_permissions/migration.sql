@@ -0,0 +1,68 @@
+-- CreateTable
+CREATE TABLE `permission` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Permission_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `_permissionTorole` (
+    `A` INTEGER NOT NULL,
+    `B` INTEGER NOT NULL,
+
+    UNIQUE INDEX `_permissionTorole_AB_unique`(`A`, `B`),
+    INDEX `_permissionTorole_B_index`(`B`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `_permissionTorole` ADD CONSTRAINT `_permissionTorole_A_fkey` FOREIGN KEY (`A`) REFERENCES `permission`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_permissionTorole` ADD CONSTRAINT `_permissionTorole_B_fkey` FOREIGN KEY (`B`) REFERENCES `Role`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the permissions that replace the hard-coded role arrays
+INSERT INTO `permission` (`name`, `description`) VALUES
+    ('country:write', 'Create, update and delete countries'),
+    ('currency:write', 'Create, update and delete currencies'),
+    ('province:write', 'Create, update and delete provinces'),
+    ('district:write', 'Create, update and delete districts'),
+    ('factory:write', 'Create, update and delete factories'),
+    ('mosque:write', 'Create, update and delete mosques'),
+    ('product:write', 'Create, update and delete products'),
+    ('ads:read', 'List all ads, including hidden ones'),
+    ('ads:write', 'Create, update and delete ads'),
+    ('ads:publish', 'Show and hide ads'),
+    ('user:read', 'List users'),
+    ('user:write', 'Create users'),
+    ('role:manage', 'Manage roles and their permissions'),
+    ('order:read', 'View all orders'),
+    ('order:confirm', 'Confirm pending orders'),
+    ('order:process', 'Move confirmed orders to preparing and on the way'),
+    ('order:deliver', 'Mark orders as delivered'),
+    ('order:cancel', 'Cancel any order'),
+    ('delivery:manage', 'Assign couriers and view all deliveries'),
+    ('delivery:handle', 'Work on assigned deliveries');
+
+-- The COURIER role is new; IGNORE keeps one created by hand
+INSERT IGNORE INTO `Role` (`name`, `createdAt`, `updatedAt`) VALUES ('COURIER', CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3));
+
+-- Grant them to the existing roles so access stays the same
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` = 'SUPER_ADMIN'
+WHERE p.`name` IN ('country:write', 'currency:write', 'province:write', 'district:write', 'factory:write', 'mosque:write', 'product:write', 'ads:read', 'ads:write', 'ads:publish', 'user:read', 'user:write', 'role:manage', 'order:read', 'order:confirm', 'order:process', 'order:deliver', 'order:cancel', 'delivery:manage', 'delivery:handle');
+
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` = 'ADMIN'
+WHERE p.`name` IN ('country:write', 'currency:write', 'province:write', 'district:write', 'factory:write', 'mosque:write', 'product:write', 'ads:read', 'ads:write', 'ads:publish', 'user:read', 'user:write', 'order:read', 'order:process', 'order:confirm', 'order:deliver', 'order:cancel', 'delivery:manage', 'delivery:handle');
+
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` = 'DATA_ENTRY'
+WHERE p.`name` IN ('country:write', 'currency:write', 'province:write', 'district:write', 'factory:write', 'mosque:write', 'product:write', 'ads:read', 'ads:write', 'ads:publish', 'user:read', 'user:write', 'order:read', 'order:process');
+
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` = 'COURIER'
+WHERE p.`name` IN ('delivery:handle');
@@ -0,0 +1,15 @@
+-- Codes are stored hashed from now on, plaintext codes already sent can't be matched
+UPDATE `EmailVerification` SET `consumed` = true WHERE `consumed` = false;
+
+-- DropIndex
+DROP INDEX `EmailVerification_code_idx` ON `EmailVerification`;
+
+-- AlterTable
+ALTER TABLE `EmailVerification` RENAME COLUMN `code` TO `codeHash`,
+    ADD COLUMN `purpose` ENUM('EMAIL_VERIFY', 'PASSWORD_RESET', 'EMAIL_CHANGE') NOT NULL DEFAULT 'EMAIL_VERIFY';
+
+-- CreateIndex
+CREATE INDEX `EmailVerification_codeHash_idx` ON `EmailVerification`(`codeHash`);
+
+-- CreateIndex
+CREATE INDEX `EmailVerification_userId_purpose_idx` ON `EmailVerification`(`userId`, `purpose`);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `EmailVerification` ADD COLUMN `email` VARCHAR(191) NULL;
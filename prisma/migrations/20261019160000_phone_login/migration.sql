@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `phoneVerified` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX `User_phone_idx` ON `User`(`phone`);
+
+-- CreateTable
+CREATE TABLE `phoneverification` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `phone` VARCHAR(191) NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `consumed` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `PhoneVerification_phone_idx`(`phone`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
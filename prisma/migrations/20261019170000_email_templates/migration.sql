@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `locale` VARCHAR(191) NULL;
+
+-- Seed the permission for the template preview
+INSERT INTO `permission` (`name`, `description`) VALUES
+    ('email:preview', 'Preview transactional email templates');
+
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` IN ('SUPER_ADMIN', 'ADMIN')
+WHERE p.`name` = 'email:preview';
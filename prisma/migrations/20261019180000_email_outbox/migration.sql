@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `emailoutbox` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `to` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NOT NULL,
+    `html` TEXT NOT NULL,
+    `text` TEXT NOT NULL,
+    `status` ENUM('PENDING', 'SENDING', 'SENT', 'DEAD') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `nextAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastError` TEXT NULL,
+    `sentAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `EmailOutbox_status_nextAttemptAt_idx`(`status`, `nextAttemptAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `searchName` VARCHAR(400) NOT NULL DEFAULT '';
+ALTER TABLE `Mosque` ADD COLUMN `searchName` VARCHAR(400) NOT NULL DEFAULT '';
+ALTER TABLE `factory` ADD COLUMN `searchName` VARCHAR(400) NOT NULL DEFAULT '';
+
+-- Backfill with the normalization of utils/search.js: lower case, no harakat
+-- (U+064B, U+064C, U+064D, U+064E, U+064F, U+0650, U+0651, U+0652, U+0670, U+0640), one form of alef, waw, yaa and taa marbuta
+UPDATE `Product` SET `searchName` = LOWER(TRIM(CONCAT(`arName`, ' ', `engName`)));
+UPDATE `Product` SET `searchName` = REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(`searchName`, _utf8mb4 X'D98B', ''), _utf8mb4 X'D98C', ''), _utf8mb4 X'D98D', ''), _utf8mb4 X'D98E', ''), _utf8mb4 X'D98F', ''), _utf8mb4 X'D990', ''), _utf8mb4 X'D991', ''), _utf8mb4 X'D992', ''), _utf8mb4 X'D9B0', ''), _utf8mb4 X'D980', ''), 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ٱ', 'ا'), 'ؤ', 'و'), 'ئ', 'ي'), 'ى', 'ي'), 'ة', 'ه');
+UPDATE `Mosque` SET `searchName` = LOWER(TRIM(CONCAT(`arName`, ' ', `engName`)));
+UPDATE `Mosque` SET `searchName` = REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(`searchName`, _utf8mb4 X'D98B', ''), _utf8mb4 X'D98C', ''), _utf8mb4 X'D98D', ''), _utf8mb4 X'D98E', ''), _utf8mb4 X'D98F', ''), _utf8mb4 X'D990', ''), _utf8mb4 X'D991', ''), _utf8mb4 X'D992', ''), _utf8mb4 X'D9B0', ''), _utf8mb4 X'D980', ''), 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ٱ', 'ا'), 'ؤ', 'و'), 'ئ', 'ي'), 'ى', 'ي'), 'ة', 'ه');
+UPDATE `factory` SET `searchName` = LOWER(TRIM(CONCAT(`arName`, ' ', `engName`)));
+UPDATE `factory` SET `searchName` = REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(`searchName`, _utf8mb4 X'D98B', ''), _utf8mb4 X'D98C', ''), _utf8mb4 X'D98D', ''), _utf8mb4 X'D98E', ''), _utf8mb4 X'D98F', ''), _utf8mb4 X'D990', ''), _utf8mb4 X'D991', ''), _utf8mb4 X'D992', ''), _utf8mb4 X'D9B0', ''), _utf8mb4 X'D980', ''), 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ٱ', 'ا'), 'ؤ', 'و'), 'ئ', 'ي'), 'ى', 'ي'), 'ة', 'ه');
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `Mosque` ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `factory` ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `Delivery` ADD COLUMN `factoryId` INTEGER NULL,
+    ADD COLUMN `distanceKm` DOUBLE NULL;
+
+-- CreateIndex
+CREATE INDEX `Mosque_latitude_longitude_idx` ON `Mosque`(`latitude`, `longitude`);
+
+-- CreateIndex
+CREATE INDEX `factory_latitude_longitude_idx` ON `factory`(`latitude`, `longitude`);
+
+-- CreateIndex
+CREATE INDEX `Delivery_factoryId_idx` ON `Delivery`(`factoryId`);
+
+-- AddForeignKey
+ALTER TABLE `Delivery` ADD CONSTRAINT `Delivery_factoryId_fkey` FOREIGN KEY (`factoryId`) REFERENCES `factory`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
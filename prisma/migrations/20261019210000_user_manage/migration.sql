@@ -0,0 +1,12 @@
+-- Seed the permission that replaces the SUPER_ADMIN / ADMIN checks on user accounts
+INSERT INTO `permission` (`name`, `description`) VALUES
+    ('user:manage', 'Change roles, passwords and status of users and end their sessions');
+
+INSERT INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` IN ('SUPER_ADMIN', 'ADMIN')
+WHERE p.`name` = 'user:manage';
+
+-- FACTORY_OWNER could already see full user profiles
+INSERT IGNORE INTO `_permissionTorole` (`A`, `B`)
+SELECT p.`id`, r.`id` FROM `permission` p JOIN `Role` r ON r.`name` = 'FACTORY_OWNER'
+WHERE p.`name` = 'user:read';
@@ -4,28 +4,26 @@ const router = require('express').Router();
 const adController = require('../controllers/adController');
 
 const auth = require('../middleware/auth'); 
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
 
 router.post(
     '/',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:write'),
     adController.uploadAdPhoto,
     adController.createAd);
 
 router.get(
     '/',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:read'),
     adController.getAds
           );
 
 router.get(
     '/:id',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:read'),
     adController.getAdById
           );
 
@@ -33,7 +31,7 @@ router.get(
 router.put(
     '/:id',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:write'),
     adController.uploadAdPhoto,
     adController.updateAd
           );
@@ -41,21 +39,21 @@ router.put(
 router.delete(
     '/:id',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:write'),
      adController.deleteAd
              );
 
 router.patch(
     '/:id/show',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:publish'),
      adController.showAd
             );
 
 router.patch(
     '/:id/hide',
     auth,
-    checkRole(allowedRoles),
+    requirePermission('ads:publish'),
     adController.hideAd);
 
 router.get('/active/showing', adController.getShownAds);
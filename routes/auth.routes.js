@@ -6,7 +6,15 @@ const checkRole = require('../utils/roleChecker');
 const {
   signup,
   login,
+  refresh,
+  logout,
+  requestPhoneCode,
+  verifyPhoneCode,
   me,
+  updateMe,
+  confirmEmailChange,
+  requestMyPhoneCode,
+  confirmMyPhone,
   verifyEmail,
   resendCode,
   forgotPassword,
@@ -18,7 +26,23 @@ router.post('/signup', signup);
 
 router.post('/login', login);
 
-// router.get('/me', auth, me);
+router.post('/refresh', refresh);
+
+router.post('/logout', auth, logout);
+
+router.post('/phone/request-code', requestPhoneCode);
+
+router.post('/phone/verify', verifyPhoneCode);
+
+router.get('/me', auth, me);
+
+router.patch('/me', auth, updateMe);
+
+router.post('/me/email/confirm', auth, confirmEmailChange);
+
+router.post('/me/phone/request-code', auth, requestMyPhoneCode);
+
+router.post('/me/phone/confirm', auth, confirmMyPhone);
 
 router.post('/verify-email', verifyEmail);
 
@@ -3,40 +3,54 @@
 const express = require('express');
 const router = express.Router();
 const countryController = require('../controllers/countryController');
-const checkRole = require('../utils/roleChecker');
+const provinceController = require('../controllers/provinceController');
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 const authMiddleware = require('../middleware/auth'); 
 
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
-
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('country:write'),
   countryController.createCountry
 );
 
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('country:write'),
   countryController.updateCountry
 );
 
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('country:write'),
   countryController.deleteCountry
 );
 
 router.get(
   '/',
+  langQuery,
   countryController.getCountries
 );
 
+router.get(
+  '/tree',
+  langQuery,
+  countryController.getGeographyTree
+);
+
 router.get(
   '/:id',
+  langQuery,
   countryController.getCountry
 );
 
+router.get(
+  '/:id/provinces',
+  langQuery,
+  provinceController.getCountryProvinces
+);
+
 module.exports = router;
@@ -4,13 +4,11 @@ const express = require('express');
 const router = express.Router();
 const currencyController = require('../controllers/currencyController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
+const { requirePermission } = require('../utils/permissions');
 
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
-
-router.post('/', authMiddleware, checkRole(allowedRoles), currencyController.createCurrency);
-router.put('/:id', authMiddleware, checkRole(allowedRoles), currencyController.updateCurrency);
-router.delete('/:id', authMiddleware, checkRole(allowedRoles), currencyController.deleteCurrency);
+router.post('/', authMiddleware, requirePermission('currency:write'), currencyController.createCurrency);
+router.put('/:id', authMiddleware, requirePermission('currency:write'), currencyController.updateCurrency);
+router.delete('/:id', authMiddleware, requirePermission('currency:write'), currencyController.deleteCurrency);
 
 router.get('/', currencyController.getCurrencies);
 router.get('/:id', currencyController.getCurrency);
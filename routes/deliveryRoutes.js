@@ -0,0 +1,43 @@
+'use strict';
+
+const router = require('express').Router();
+const deliveryController = require('../controllers/deliveryController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('delivery:manage'),
+  deliveryController.assignDelivery
+);
+
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('delivery:manage'),
+  deliveryController.getDeliveries
+);
+
+router.get(
+  '/mine',
+  authMiddleware,
+  requirePermission('delivery:handle'),
+  deliveryController.getMyDeliveries
+);
+
+router.get(
+  '/:id',
+  authMiddleware,
+  requirePermission('delivery:handle'),
+  deliveryController.getDeliveryById
+);
+
+router.patch(
+  '/:id/status',
+  authMiddleware,
+  requirePermission('delivery:handle'),
+  deliveryController.updateDeliveryStatus
+);
+
+module.exports = router;
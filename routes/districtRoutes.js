@@ -3,40 +3,48 @@
 const express = require('express');
 const router = express.Router();
 const districtController = require('../controllers/districtController');
+const mosqueController = require('../controllers/mosqueController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('district:write'),
   districtController.createDistrict
 );
 
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('district:write'),
   districtController.updateDistrict
 );
 
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('district:write'),
   districtController.deleteDistrict
 );
 
 router.get(
   '/',
+  langQuery,
   districtController.getDistricts
 );
 
 router.get(
   '/:id',
+  langQuery,
   districtController.getDistrictById
 );
 
+router.get(
+  '/:id/mosques',
+  langQuery,
+  mosqueController.getDistrictMosques
+);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+'use strict';
+
+const router = require('express').Router();
+const emailTemplateController = require('../controllers/emailTemplateController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('email:preview'),
+  emailTemplateController.getEmailTemplates
+);
+
+router.get(
+  '/:name/preview',
+  authMiddleware,
+  requirePermission('email:preview'),
+  emailTemplateController.previewEmailTemplate
+);
+
+module.exports = router;
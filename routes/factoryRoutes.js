@@ -4,37 +4,39 @@ const express = require('express');
 const router = express.Router();
 const factoryController = require('../controllers/factoryController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('factory:write'),
   factoryController.createFactory
 );
 
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('factory:write'),
   factoryController.updateFactory
 );
 
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('factory:write'),
   factoryController.deleteFactory
 );
 
 router.get(
   '/',
+  langQuery,
   factoryController.getFactories
 );
 
 router.get(
   '/:id',
+  langQuery,
   factoryController.getFactoryById
 );
 
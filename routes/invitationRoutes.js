@@ -0,0 +1,31 @@
+'use strict';
+
+const router = require('express').Router();
+const invitationController = require('../controllers/invitationController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+
+router.post('/accept', invitationController.acceptInvitation);
+
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('user:write'),
+  invitationController.createInvitation
+);
+
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('user:read'),
+  invitationController.getInvitations
+);
+
+router.delete(
+  '/:id',
+  authMiddleware,
+  requirePermission('user:write'),
+  invitationController.revokeInvitation
+);
+
+module.exports = router;
@@ -4,38 +4,53 @@ const express = require('express');
 const router = express.Router();
 const mosqueController = require('../controllers/mosqueController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('mosque:write'),
   mosqueController.createMosque
 );
 
+router.post(
+  '/import',
+  authMiddleware,
+  requirePermission('mosque:write'),
+  mosqueController.importUpload,
+  mosqueController.importMosques
+);
+
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('mosque:write'),
   mosqueController.updateMosque
 );
 
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('mosque:write'),
   mosqueController.deleteMosque
 );
 
 router.get(
   '/',
+  langQuery,
   mosqueController.getMosques
 );
 
+router.get(
+  '/nearby',
+  langQuery,
+  mosqueController.getNearbyMosques
+);
+
 router.get(
   '/:id',
+  langQuery,
   mosqueController.getMosqueById
 );
 
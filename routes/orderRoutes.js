@@ -0,0 +1,37 @@
+'use strict';
+
+const router = require('express').Router();
+const orderController = require('../controllers/orderController');
+const authMiddleware = require('../middleware/auth');
+
+router.post(
+  '/',
+  authMiddleware,
+  orderController.createOrder
+);
+
+router.get(
+  '/',
+  authMiddleware,
+  orderController.getOrders
+);
+
+router.get(
+  '/:id',
+  authMiddleware,
+  orderController.getOrderById
+);
+
+router.patch(
+  '/:id/status',
+  authMiddleware,
+  orderController.updateOrderStatus
+);
+
+router.get(
+  '/:id/history',
+  authMiddleware,
+  orderController.getOrderHistory
+);
+
+module.exports = router;
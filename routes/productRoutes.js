@@ -3,27 +3,26 @@
 const router = require('express').Router();
 const productController = require('../controllers/productController');
 const auth = require('../middleware/auth'); 
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 
 
 router.post(
   '/',
   auth,
-  checkRole(allowedRoles), 
+  requirePermission('product:write'), 
   productController.uploadMultiplePhotos,
   productController.createProduct
 );
 
-router.get('/', auth, productController.getProducts);
+router.get('/', auth, langQuery, productController.getProducts);
 
-router.get('/:id', auth, productController.getProductById);
+router.get('/:id', auth, langQuery, productController.getProductById);
 
 router.put(
   '/:id',
   auth,
-  checkRole(allowedRoles),
+  requirePermission('product:write'),
     productController.uploadMultiplePhotos,
   productController.updateProduct
 );
@@ -31,7 +30,7 @@ router.put(
 router.delete(
   '/:id',
   auth,
-  checkRole(allowedRoles),
+  requirePermission('product:write'),
   productController.deleteProduct
 );
 
@@ -3,40 +3,48 @@
 const express = require('express');
 const router = express.Router();
 const provinceController = require('../controllers/provinceController');
+const districtController = require('../controllers/districtController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const { requirePermission } = require('../utils/permissions');
+const { langQuery } = require('../utils/localize');
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('province:write'),
   provinceController.createProvince
 );
 
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('province:write'),
   provinceController.updateProvince
 );
 
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('province:write'),
   provinceController.deleteProvince
 );
 
 router.get(
   '/',
+  langQuery,
   provinceController.getProvinces
 );
 
 router.get(
   '/:id',
+  langQuery,
   provinceController.getProvinceById
 );
 
+router.get(
+  '/:id/districts',
+  langQuery,
+  districtController.getProvinceDistricts
+);
+
 module.exports = router;
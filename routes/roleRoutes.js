@@ -3,26 +3,54 @@
 const router = require('express').Router();
 const roleController = require('../controllers/roleController');
 const authMiddleware = require('../middleware/auth');
-const checkRole = require('../utils/roleChecker');
+const { requirePermission } = require('../utils/permissions');
+
+router.get(
+  '/permissions',
+  authMiddleware,
+  requirePermission('role:manage'),
+  roleController.getPermissions
+);
+
+router.post(
+  '/permissions',
+  authMiddleware,
+  requirePermission('role:manage'),
+  roleController.createPermission
+);
+
+router.delete(
+  '/permissions/:id',
+  authMiddleware,
+  requirePermission('role:manage'),
+  roleController.deletePermission
+);
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(['SUPER_ADMIN']),
+  requirePermission('role:manage'),
   roleController.createRole
 );
 
 router.put(
   '/:id',
   authMiddleware,
-  checkRole(['SUPER_ADMIN']),
+  requirePermission('role:manage'),
   roleController.updateRole
 );
 
+router.put(
+  '/:id/permissions',
+  authMiddleware,
+  requirePermission('role:manage'),
+  roleController.setRolePermissions
+);
+
 router.delete(
   '/:id',
   authMiddleware,
-  checkRole(['SUPER_ADMIN']),
+  requirePermission('role:manage'),
   roleController.deleteRole
 );
 
@@ -0,0 +1,16 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const authMiddleware = require('../middleware/auth');
+const { langQuery } = require('../utils/localize');
+
+router.get(
+  '/',
+  authMiddleware,
+  langQuery,
+  searchController.search
+);
+
+module.exports = router;
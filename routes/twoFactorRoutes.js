@@ -0,0 +1,24 @@
+'use strict';
+
+const router = require('express').Router();
+const auth = require('../middleware/auth');
+const {
+  authOrChallenge,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+
+router.post('/setup', authOrChallenge, setupTwoFactor);
+
+router.post('/enable', authOrChallenge, enableTwoFactor);
+
+router.post('/verify', verifyTwoFactor);
+
+router.post('/recovery-codes', auth, regenerateCodes);
+
+router.post('/disable', auth, disableTwoFactor);
+
+module.exports = router;
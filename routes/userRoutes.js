@@ -3,18 +3,23 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const authMiddleware = require('../middlewares/authMiddleware');
-const checkRole = require('../utils/roleChecker');
-
-const allowedRoles = ['SUPER_ADMIN', 'ADMIN', 'DATA_ENTRY'];
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
 
 router.post(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('user:write'),
   userController.createUser
 );
 
+router.patch(
+  '/status',
+  authMiddleware,
+  requirePermission('user:write'),
+  userController.bulkUpdateStatus
+);
+
 router.put(
   '/:id',
   authMiddleware,
@@ -30,7 +35,7 @@ router.delete(
 router.get(
   '/',
   authMiddleware,
-  checkRole(allowedRoles),
+  requirePermission('user:read'),
   userController.getUsers 
 );
 
@@ -40,4 +45,11 @@ router.get(
   userController.getUser 
 );
 
+router.delete(
+  '/:id/sessions',
+  authMiddleware,
+  requirePermission('user:write'),
+  userController.revokeUserSessions
+);
+
 module.exports = router;
@@ -36,13 +36,13 @@ const options = {
     info: {
       title: 'Rawaa API',
       version: '1.0.0',
-      description: 'API documentation for Rawa project',
+      description: 'API documentation for Rawa project. Messages are returned as { code, message }, in Arabic or English according to Accept-Language. Errors add details and the requestId also sent in the X-Request-Id header.',
     },
     servers: [
       { url: 'http://tacticjo.ashyaaaonline.com', description: 'Tacticjo backend server' }
     ],
   },
-  apis: ['./routes/*.js', './controllers/*.js'], 
+  apis: ['./routes/*.js', './controllers/*.js', './utils/listQuery.js'],
 };
 
 const swaggerSpec = swaggerJsdoc(options);
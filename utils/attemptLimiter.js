@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Failed-attempt counters with progressive backoff and temporary lockout.
+ *
+ * Counters live in a store with async get/set/delete so they can be moved
+ * to a shared cache (Redis, DB, ...) with setAttemptStore(); the default
+ * in-memory store is enough for a single process and for tests.
+ */
+
+const { AppError } = require('./errors');
+const { sendError } = require('../middleware/errorHandler');
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  function sweep(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      if (entries.size >= 10000) sweep(now);
+      entries.set(key, { value, expiresAt: now + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let defaultStore = createMemoryStore();
+
+function setAttemptStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * @param {Object} options
+ * @param {String} options.name          key prefix, e.g. 'login:account'
+ * @param {Number} options.maxAttempts   failures before the lockout
+ * @param {Number} [options.freeAttempts] failures allowed before backoff starts
+ * @param {Number} [options.baseDelayMs] first backoff delay, doubled on each failure
+ * @param {Number} [options.maxDelayMs]
+ * @param {Number} [options.lockoutMs]
+ * @param {Number} [options.windowMs]    how long failures are remembered
+ * @param {Object} [options.store]
+ */
+function createAttemptLimiter({
+  name,
+  maxAttempts,
+  freeAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  windowMs = 60 * 60 * 1000,
+  store,
+}) {
+  const getStore = () => store || defaultStore;
+  const keyFor = (id) => `${name}:${String(id).toLowerCase()}`;
+
+  function backoffMs(failures) {
+    if (failures < freeAttempts) return 0;
+    return Math.min(baseDelayMs * 2 ** (failures - freeAttempts), maxDelayMs);
+  }
+
+  /**
+   * Milliseconds the caller has to wait before trying again, 0 when allowed.
+   */
+  async function check(id) {
+    const entry = await getStore().get(keyFor(id));
+    if (!entry) return 0;
+
+    const now = Date.now();
+    if (entry.lockedUntil && entry.lockedUntil > now) return entry.lockedUntil - now;
+    return Math.max(entry.lastFailureAt + backoffMs(entry.failures) - now, 0);
+  }
+
+  /**
+   * Records a failure. `locked` is true when this failure started a lockout.
+   */
+  async function fail(id) {
+    const key = keyFor(id);
+    const now = Date.now();
+    const entry = (await getStore().get(key)) || { failures: 0 };
+
+    // A finished lockout starts a fresh count
+    if (entry.lockedUntil && entry.lockedUntil <= now) entry.failures = 0;
+
+    const failures = entry.failures + 1;
+    const locked = failures >= maxAttempts;
+    const next = { failures, lastFailureAt: now, lockedUntil: locked ? now + lockoutMs : null };
+
+    await getStore().set(key, next, Math.max(windowMs, locked ? lockoutMs : 0));
+    return { failures, locked };
+  }
+
+  async function reset(id) {
+    await getStore().delete(keyFor(id));
+  }
+
+  return { check, fail, reset };
+}
+
+/**
+ * Answers 429 with Retry-After when any of the [limiter, id] pairs is in
+ * backoff or locked.
+ * @returns {Promise<Boolean>} true when the response was sent
+ */
+async function tooManyAttempts(res, checks) {
+  const waits = await Promise.all(checks.map(([limiter, id]) => limiter.check(id)));
+  const wait = Math.max(...waits);
+  if (!wait) return false;
+
+  const retryAfter = Math.ceil(wait / 1000);
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, new AppError(429, 'TOO_MANY_ATTEMPTS', undefined, { retryAfter }));
+  return true;
+}
+
+module.exports = {
+  createAttemptLimiter,
+  tooManyAttempts,
+  createMemoryStore,
+  setAttemptStore,
+};
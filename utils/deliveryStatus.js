@@ -0,0 +1,59 @@
+'use strict';
+
+const { BadRequestError } = require('./errors');
+
+// Steps a courier can move a delivery through
+const TRANSITIONS = {
+  PENDING: ['ASSIGNED'],
+  ASSIGNED: ['PICKED_UP', 'FAILED'],
+  PICKED_UP: ['DELIVERING', 'FAILED'],
+  DELIVERING: ['DELIVERED', 'FAILED'],
+  DELIVERED: [],
+  FAILED: [],
+};
+
+const DELIVERY_STATUSES = Object.keys(TRANSITIONS);
+
+// Order status each delivery step should bring the parent order to
+const ORDER_STATUS_FOR = {
+  ASSIGNED: 'PREPARING',
+  PICKED_UP: 'ON_THE_WAY',
+  DELIVERING: 'ON_THE_WAY',
+  DELIVERED: 'DELIVERED',
+};
+
+function assertTransition(delivery, to) {
+  if (!(TRANSITIONS[delivery.status] || []).includes(to)) {
+    throw new BadRequestError('DELIVERY_TRANSITION_INVALID', { from: delivery.status, to });
+  }
+  return true;
+}
+
+// Straight-line distance is shorter than the road, so the speed is an effective one
+const SPEED_KMH = Number(process.env.DELIVERY_SPEED_KMH || 30);
+// Loading at the factory and unloading at the mosque
+const HANDLING_MINUTES = Number(process.env.DELIVERY_HANDLING_MINUTES || 15);
+
+/**
+ * Estimated minutes for a delivery over the factory to mosque distance.
+ * Undefined without a distance so the stored estimate is kept.
+ */
+function estimatedMinutes(distanceKm) {
+  if (distanceKm === null || distanceKm === undefined) return undefined;
+  return Math.ceil(distanceKm / SPEED_KMH * 60) + HANDLING_MINUTES;
+}
+
+// Minutes between pick-up and the end of the delivery
+function actualMinutes(startTime, endTime) {
+  if (!startTime || !endTime) return null;
+  return Math.max(Math.round((endTime - startTime) / 60000), 0);
+}
+
+module.exports = {
+  TRANSITIONS,
+  DELIVERY_STATUSES,
+  ORDER_STATUS_FOR,
+  assertTransition,
+  actualMinutes,
+  estimatedMinutes,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Named transactional emails with an Arabic and an English variant.
+ *
+ * Each variant returns content blocks ({ subject, heading, paragraphs, code,
+ * action, rows, footer }) and renderEmail() wraps them in the shared layout,
+ * right-to-left for Arabic, and builds the plain text version from the same blocks.
+ */
+
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, isRtl } = require('./locale');
+const { NotFoundError } = require('./errors');
+
+const DELIVERY_STATUS_LABELS = {
+  ar: {
+    ASSIGNED: 'تم تعيين مندوب التوصيل',
+    PICKED_UP: 'استلم المندوب الطلب',
+    DELIVERING: 'الطلب في الطريق إليك',
+    DELIVERED: 'تم توصيل الطلب',
+    FAILED: 'تعذر توصيل الطلب',
+  },
+  en: {
+    ASSIGNED: 'A courier has been assigned',
+    PICKED_UP: 'The courier picked up your order',
+    DELIVERING: 'Your order is on the way',
+    DELIVERED: 'Your order has been delivered',
+    FAILED: 'Your order could not be delivered',
+  },
+};
+
+const templates = {
+  verification: {
+    sample: { username: 'Ahmad', code: '123456' },
+    ar: ({ username, code }) => ({
+      subject: 'رمز التحقق الخاص بك',
+      heading: 'رمز التحقق',
+      paragraphs: [`مرحباً ${username || ''}،`, 'رمز التحقق الخاص بك هو:'],
+      code,
+      footer: 'تنتهي صلاحية هذا الرمز خلال 15 دقيقة.',
+    }),
+    en: ({ username, code }) => ({
+      subject: 'Your verification code',
+      heading: 'Verification Code',
+      paragraphs: [`Hello ${username || ''},`, 'Your verification code is:'],
+      code,
+      footer: 'This code will expire in 15 minutes.',
+    }),
+  },
+
+  passwordReset: {
+    sample: { username: 'Ahmad', code: '123456' },
+    ar: ({ username, code }) => ({
+      subject: 'إعادة تعيين كلمة المرور',
+      heading: 'إعادة تعيين كلمة المرور',
+      paragraphs: [`مرحباً ${username || ''}،`, 'استخدم هذا الرمز لإعادة تعيين كلمة المرور:'],
+      code,
+      footer: 'تنتهي صلاحية هذا الرمز خلال 15 دقيقة. إذا لم تطلب ذلك فتجاهل هذه الرسالة.',
+    }),
+    en: ({ username, code }) => ({
+      subject: 'Reset your password',
+      heading: 'Password Reset',
+      paragraphs: [`Hello ${username || ''},`, 'Use this code to reset your password:'],
+      code,
+      footer: 'This code will expire in 15 minutes. If you did not ask for it, ignore this email.',
+    }),
+  },
+
+  emailChange: {
+    sample: { username: 'Ahmad', code: '123456' },
+    ar: ({ username, code }) => ({
+      subject: 'تأكيد البريد الإلكتروني الجديد',
+      heading: 'تأكيد البريد الإلكتروني',
+      paragraphs: [`مرحباً ${username || ''}،`, 'أدخل هذا الرمز لتأكيد بريدك الإلكتروني الجديد:'],
+      code,
+      footer: 'تنتهي صلاحية هذا الرمز خلال 15 دقيقة.',
+    }),
+    en: ({ username, code }) => ({
+      subject: 'Confirm your new email',
+      heading: 'Confirm Email Change',
+      paragraphs: [`Hello ${username || ''},`, 'Enter this code to confirm your new email address:'],
+      code,
+      footer: 'This code will expire in 15 minutes.',
+    }),
+  },
+
+  orderConfirmation: {
+    sample: {
+      username: 'Ahmad',
+      orderNumber: 'RW-20261019-A1B2C3',
+      mosque: { arName: 'مسجد النور', engName: 'Al-Noor Mosque' },
+      totalAmount: '150.00',
+      items: [
+        { arName: 'مياه 500 مل', engName: 'Water 500ml', quantity: 10, totalPrice: '100.00' },
+        { arName: 'تمر', engName: 'Dates', quantity: 5, totalPrice: '50.00' },
+      ],
+    },
+    ar: ({ username, orderNumber, mosque, totalAmount, items }) => ({
+      subject: `تم استلام طلبك ${orderNumber}`,
+      heading: 'شكراً لطلبك',
+      paragraphs: [
+        `مرحباً ${username || ''}،`,
+        `استلمنا طلبك رقم ${orderNumber}${mosque ? ` إلى ${mosque.arName}` : ''} وسنبلغك عند تأكيده.`,
+      ],
+      rows: items.map(item => [`${item.arName} × ${item.quantity}`, item.totalPrice]).concat([['المجموع', totalAmount]]),
+    }),
+    en: ({ username, orderNumber, mosque, totalAmount, items }) => ({
+      subject: `We received your order ${orderNumber}`,
+      heading: 'Thank you for your order',
+      paragraphs: [
+        `Hello ${username || ''},`,
+        `We received your order ${orderNumber}${mosque ? ` for ${mosque.engName}` : ''} and will let you know once it is confirmed.`,
+      ],
+      rows: items.map(item => [`${item.engName} × ${item.quantity}`, item.totalPrice]).concat([['Total', totalAmount]]),
+    }),
+  },
+
+  deliveryUpdate: {
+    sample: { username: 'Ahmad', orderNumber: 'RW-20261019-A1B2C3', status: 'DELIVERING', note: null },
+    ar: ({ username, orderNumber, status, note }) => ({
+      subject: `تحديث على طلبك ${orderNumber}`,
+      heading: DELIVERY_STATUS_LABELS.ar[status] || status,
+      paragraphs: [`مرحباً ${username || ''}،`, `حالة توصيل طلبك رقم ${orderNumber}: ${DELIVERY_STATUS_LABELS.ar[status] || status}.`]
+        .concat(note ? [`ملاحظة المندوب: ${note}`] : []),
+    }),
+    en: ({ username, orderNumber, status, note }) => ({
+      subject: `Update on your order ${orderNumber}`,
+      heading: DELIVERY_STATUS_LABELS.en[status] || status,
+      paragraphs: [`Hello ${username || ''},`, `Delivery of your order ${orderNumber}: ${DELIVERY_STATUS_LABELS.en[status] || status}.`]
+        .concat(note ? [`Courier note: ${note}`] : []),
+    }),
+  },
+
+  invitation: {
+    sample: {
+      role: 'DATA_ENTRY',
+      link: 'http://localhost:3000/invite?token=sample',
+      token: 'sample',
+      expiresAt: new Date('2026-01-01T00:00:00Z'),
+    },
+    ar: ({ role, link, token, expiresAt }) => ({
+      subject: 'دعوة للانضمام إلى رواء',
+      heading: 'لقد تمت دعوتك',
+      paragraphs: [`تمت دعوتك للانضمام إلى رواء بدور ${role}.`, 'اقبل الدعوة واختر كلمة المرور الخاصة بك، أو استخدم رمز الدعوة:'],
+      code: token,
+      action: { label: 'قبول الدعوة', url: link },
+      footer: `تنتهي صلاحية الدعوة في ${expiresAt.toISOString().slice(0, 10)}.`,
+    }),
+    en: ({ role, link, token, expiresAt }) => ({
+      subject: 'Your Rawa invitation',
+      heading: "You're invited",
+      paragraphs: [`You have been invited to join Rawa as ${role}.`, 'Accept the invitation and choose your password, or use this invitation code:'],
+      code: token,
+      action: { label: 'Accept the invitation', url: link },
+      footer: `This invitation expires on ${expiresAt.toUTCString()}.`,
+    }),
+  },
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layoutHtml(locale, content) {
+  const dir = isRtl(locale) ? 'rtl' : 'ltr';
+  const align = isRtl(locale) ? 'right' : 'left';
+  const parts = [`<h2>${escapeHtml(content.heading)}</h2>`];
+
+  for (const paragraph of content.paragraphs || []) parts.push(`<p>${escapeHtml(paragraph)}</p>`);
+  if (content.code) {
+    // Codes are read left to right whatever the language
+    parts.push(`<p dir="ltr" style="font-size:28px; letter-spacing:4px; font-weight:bold; text-align:center; word-break:break-all;">${escapeHtml(content.code)}</p>`);
+  }
+  if (content.action) {
+    parts.push(`<p><a href="${escapeHtml(content.action.url)}" style="background:#0d6efd; color:#fff; padding:10px 16px; border-radius:4px; text-decoration:none;">${escapeHtml(content.action.label)}</a></p>`);
+  }
+  if (content.rows) {
+    const rows = content.rows
+      .map(([label, value]) => `<tr><td style="padding:4px 8px;">${escapeHtml(label)}</td><td dir="ltr" style="padding:4px 8px; text-align:${align === 'right' ? 'left' : 'right'};">${escapeHtml(value)}</td></tr>`)
+      .join('');
+    parts.push(`<table style="width:100%; border-collapse:collapse;">${rows}</table>`);
+  }
+  if (content.footer) parts.push(`<p style="color:#666; font-size:12px;">${escapeHtml(content.footer)}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${dir}">
+  <body style="margin:0; padding:16px; background:#f5f5f5;">
+    <div dir="${dir}" style="max-width:560px; margin:0 auto; padding:24px; background:#fff; font-family: Tahoma, Arial, sans-serif; text-align:${align};">
+      ${parts.join('\n      ')}
+    </div>
+  </body>
+</html>`;
+}
+
+function layoutText(content) {
+  const lines = [content.heading, '', ...(content.paragraphs || [])];
+  if (content.code) lines.push('', content.code);
+  if (content.action) lines.push('', `${content.action.label}: ${content.action.url}`);
+  if (content.rows) lines.push('', ...content.rows.map(([label, value]) => `${label}: ${value}`));
+  if (content.footer) lines.push('', content.footer);
+  return lines.join('\n');
+}
+
+/**
+ * @param {String} name one of listTemplates()
+ * @param {String} locale 'ar' or 'en', anything else falls back to the default
+ * @param {Object} data values used by the template
+ * @returns {{ subject: String, html: String, text: String }}
+ */
+function renderEmail(name, locale, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new NotFoundError('EMAIL_TEMPLATE_NOT_FOUND', { name });
+  }
+  const lang = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const content = template[lang](data);
+  return { subject: content.subject, html: layoutHtml(lang, content), text: layoutText(content) };
+}
+
+function listTemplates() {
+  return Object.keys(templates);
+}
+
+// Sample data used by the admin preview
+function sampleData(name) {
+  return templates[name] ? templates[name].sample : null;
+}
+
+module.exports = {
+  renderEmail,
+  listTemplates,
+  sampleData,
+};
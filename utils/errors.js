@@ -0,0 +1,76 @@
+'use strict';
+
+const { translate } = require('./i18n');
+
+/**
+ * Error answered by the error middleware as
+ * { code, message, details, requestId }, the message translated from the
+ * catalog in utils/messages.js. The Error message stays in English for the logs.
+ */
+class AppError extends Error {
+  /**
+   * @param {Number} status HTTP status
+   * @param {String} code catalog code, e.g. 'ORDER_NOT_FOUND'
+   * @param {Object} [params] values for the message placeholders
+   * @param {*} [details] extra data for the client, e.g. the ids that failed
+   */
+  constructor(status, code, params, details) {
+    super(translate(code, 'en', params));
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.params = params;
+    this.details = details === undefined ? null : details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(code, params, details) {
+    super(400, code, params, details);
+  }
+}
+
+// Body or query rejected by a zod schema; details lists the failing fields
+class ValidationError extends AppError {
+  constructor(issues) {
+    super(400, 'VALIDATION_ERROR', undefined, issues.map(issue => ({
+      field: issue.path.join('.'),
+      code: issue.code,
+      message: issue.message,
+    })));
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code, params, details) {
+    super(401, code, params, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = 'FORBIDDEN', params, details) {
+    super(403, code, params, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code, params, details) {
+    super(404, code, params, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code, params, details) {
+    super(409, code, params, details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+};
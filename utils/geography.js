@@ -0,0 +1,141 @@
+'use strict';
+
+const { Prisma } = require('@prisma/client');
+const { z } = require('zod');
+const { BadRequestError, NotFoundError } = require('./errors');
+
+const LEVELS = ['countryId', 'provinceId', 'districtId'];
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.045;
+
+/**
+ * Checks that a district lies in the province and the province in the
+ * country. Levels left out are filled from the most specific one given, so
+ * { districtId } alone is enough.
+ * @param {Object} db Prisma client or transaction
+ * @param {{ countryId?: number, provinceId?: number, districtId?: number }} location
+ * @returns {Promise<{ countryId?: number, provinceId?: number, districtId?: number }>}
+ */
+async function resolveLocation(db, { countryId, provinceId, districtId }) {
+  const location = { countryId, provinceId, districtId };
+
+  if (districtId !== undefined) {
+    const district = await db.district.findUnique({ where: { id: districtId }, select: { provinceId: true } });
+    if (!district) throw new NotFoundError('DISTRICT_NOT_FOUND');
+    if (provinceId !== undefined && provinceId !== district.provinceId) {
+      throw new BadRequestError('DISTRICT_NOT_IN_PROVINCE', undefined, { districtId, provinceId });
+    }
+    location.provinceId = district.provinceId;
+  }
+
+  if (location.provinceId !== undefined) {
+    const province = await db.province.findUnique({ where: { id: location.provinceId }, select: { countryId: true } });
+    if (!province) throw new NotFoundError('PROVINCE_NOT_FOUND');
+    if (countryId !== undefined && countryId !== province.countryId) {
+      throw new BadRequestError('PROVINCE_NOT_IN_COUNTRY', undefined, { provinceId: location.provinceId, countryId });
+    }
+    location.countryId = province.countryId;
+  } else if (countryId !== undefined) {
+    const country = await db.country.findUnique({ where: { id: countryId }, select: { id: true } });
+    if (!country) throw new NotFoundError('COUNTRY_NOT_FOUND');
+  }
+
+  return location;
+}
+
+/**
+ * Location to check when a record moves: levels below the first changed one
+ * keep their stored value (moving to another province without a new
+ * district is refused), levels above are derived again.
+ * Null when the update does not touch the location.
+ */
+function mergeLocation(current, changes) {
+  const first = LEVELS.findIndex(level => changes[level] !== undefined);
+  if (first === -1) return null;
+
+  const location = {};
+  LEVELS.forEach((level, i) => {
+    if (changes[level] !== undefined) location[level] = changes[level];
+    else if (i > first && current[level] !== null) location[level] = current[level];
+  });
+  return location;
+}
+
+// Prisma's _count ({ mosque: 3 }) as mosqueCount: 3
+function flattenCounts({ _count, ...row }) {
+  const counts = {};
+  for (const [relation, count] of Object.entries(_count || {})) counts[`${relation}Count`] = count;
+  return { ...row, ...counts };
+}
+
+/**
+ * Adds optional latitude / longitude to a create or update schema; one
+ * without the other is rejected.
+ */
+function withCoordinates(schema) {
+  return schema
+    .extend({
+      latitude: z.number().min(-90).max(90).optional(),
+      longitude: z.number().min(-180).max(180).optional(),
+    })
+    .refine(data => (data.latitude === undefined) === (data.longitude === undefined), {
+      message: 'latitude and longitude must be sent together',
+      path: ['longitude'],
+    });
+}
+
+function round(km) {
+  return Math.round(km * 100) / 100;
+}
+
+/**
+ * Great-circle (haversine) distance in km between two records with
+ * latitude / longitude, rounded to 10 m. Null when either has no coordinates.
+ */
+function distanceKm(from, to) {
+  const values = [from && from.latitude, from && from.longitude, to && to.latitude, to && to.longitude];
+  if (values.some(value => value === null || value === undefined)) return null;
+
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(to.latitude - from.latitude);
+  const dLng = rad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+}
+
+/**
+ * The same haversine formula as SQL, for the latitude / longitude columns of
+ * the queried table.
+ */
+function distanceSql(latitude, longitude) {
+  return Prisma.sql`ROUND(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(latitude - ${latitude}) / 2), 2)
+    + COS(RADIANS(${latitude})) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ${longitude}) / 2), 2)
+  )), 2)`;
+}
+
+/**
+ * Square around a point that contains the circle of the radius, so the
+ * latitude / longitude index can skip far rows before the haversine runs.
+ * The longitude bounds are left out near the poles and the 180th meridian.
+ */
+function boundingBoxSql(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const box = Prisma.sql`latitude BETWEEN ${latitude - latDelta} AND ${latitude + latDelta}`;
+
+  const cos = Math.cos(latitude * Math.PI / 180);
+  const lngDelta = cos > 0.01 ? radiusKm / (KM_PER_DEGREE * cos) : Infinity;
+  if (longitude - lngDelta < -180 || longitude + lngDelta > 180) return box;
+  return Prisma.sql`${box} AND longitude BETWEEN ${longitude - lngDelta} AND ${longitude + lngDelta}`;
+}
+
+module.exports = {
+  resolveLocation,
+  mergeLocation,
+  flattenCounts,
+  withCoordinates,
+  distanceKm,
+  distanceSql,
+  boundingBoxSql,
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+const messages = require('./messages');
+const { DEFAULT_LOCALE, resolveLocale } = require('./locale');
+
+/**
+ * Text of a catalog code in the locale, English when the locale has no entry.
+ * @param {String} code e.g. 'USER_NOT_FOUND'
+ * @param {String} locale
+ * @param {Object} [params] values for the {placeholders}
+ */
+function translate(code, locale, params = {}) {
+  const entry = messages[code];
+  if (!entry) return code;
+  const text = entry[locale] || entry.en || entry[DEFAULT_LOCALE];
+  return text.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+}
+
+/**
+ * Sets req.locale from Accept-Language and req.t(code, params), which returns
+ * the { code, message } pair to put in a response body.
+ */
+function i18n(req, res, next) {
+  req.locale = resolveLocale(null, req);
+  req.t = (code, params) => ({ code, message: translate(code, req.locale, params) });
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+}
+
+module.exports = {
+  i18n,
+  translate,
+};
@@ -3,7 +3,8 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived, clients renew them with a refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 function signJwt(payload, options = {}) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, ...options });
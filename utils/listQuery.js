@@ -0,0 +1,158 @@
+'use strict';
+
+const { z } = require('zod');
+const { ValidationError } = require('./errors');
+
+/**
+ * Shared paging, filtering and sorting for list endpoints.
+ *
+ *   ?limit=20&page=2            offset paging
+ *   ?limit=20&cursor=153        keyset paging from the id returned as nextCursor
+ *   ?sort=-createdAt,engName    several fields, '-' for descending
+ *   ?sort=name                  arName or engName in the request's language, in the
+ *                               database collation: no Intl.Collator as in localizeList()
+ *   ?status=ACTIVE&countryId=3  filters whitelisted by each endpoint
+ *   ?search=ahmed               part of any of the endpoint's search columns
+ *
+ * @swagger
+ * components:
+ *   parameters:
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         minimum: 1
+ *         maximum: 100
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *         minimum: 1
+ *       description: Page number, ignored when cursor is given
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: integer
+ *       description: nextCursor of the previous response, for cursor based paging
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const pagingSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  page: z.coerce.number().int().min(1).default(1),
+  cursor: z.coerce.number().int().positive().optional(),
+  sort: z.string().trim().min(1).optional(),
+});
+
+// Query strings only carry text, so booleans come as 'true' / 'false'
+const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+
+/**
+ * Describes what a list endpoint accepts.
+ * @param {Object} options
+ * @param {Object<String, z.ZodType>} [options.filters] query fields matched with equality
+ * @param {Array<String>} options.sortable fields allowed in ?sort=
+ * @param {String} options.defaultSort used when ?sort= is missing, e.g. '-createdAt'
+ * @param {Boolean} [options.bilingual] accepts sort=name, meaning arName or engName in the request's language
+ * @param {Array<String>} [options.search] columns matched by ?search=
+ */
+function defineList({ filters = {}, sortable, defaultSort, bilingual = false, search = [] }) {
+  const fields = bilingual ? sortable.concat('name') : sortable;
+  const searchParam = search.length ? { search: z.string().trim().min(1).optional() } : {};
+  return {
+    schema: pagingSchema.extend({ ...filters, ...searchParam }),
+    filterKeys: Object.keys(filters),
+    searchFields: search,
+    sortable: fields,
+    defaultSort,
+    bilingual,
+  };
+}
+
+function parseSort(value, list) {
+  const sort = [];
+  for (const part of value.split(',')) {
+    const desc = part.startsWith('-');
+    const field = desc ? part.slice(1) : part;
+    if (!list.sortable.includes(field)) {
+      throw new ValidationError([{
+        path: ['sort'],
+        code: 'invalid_value',
+        message: `Cannot sort by ${field}, allowed: ${list.sortable.join(', ')}`,
+      }]);
+    }
+    sort.push({ field, direction: desc ? 'desc' : 'asc' });
+  }
+  return sort;
+}
+
+function toOrderBy(sort, list, lang) {
+  const orderBy = sort.map(({ field, direction }) => {
+    // Ordered by MySQL, so empty names don't fall back to the other language as localize() does
+    const column = list.bilingual && field === 'name' ? (lang === 'en' ? 'engName' : 'arName') : field;
+    return { [column]: direction };
+  });
+  // id last so equal values keep a stable order across pages and cursors
+  if (!sort.some(s => s.field === 'id')) orderBy.push({ id: 'asc' });
+  return orderBy;
+}
+
+/**
+ * Runs findMany and count for one page of a list.
+ * @param {Object} model Prisma delegate, e.g. prisma.mosque
+ * @param {Object} list result of defineList()
+ * @param {Object} req the request, for its query and language
+ * @param {Object} [args] extra findMany arguments (include, select, base where)
+ * @returns {Promise<{ items: Array, meta: Object }>} meta holds
+ *   page, limit, total, totalPages and nextCursor
+ */
+async function paginate(model, list, req, args = {}) {
+  const validation = list.schema.safeParse(req.query);
+  if (!validation.success) throw new ValidationError(validation.error.issues);
+
+  const { limit, page, cursor, sort: sortParam, search } = validation.data;
+  const lang = req.lang || req.locale;
+  // With ?lang= the list follows the localized name unless asked otherwise
+  const defaultSort = req.lang && list.bilingual ? 'name' : list.defaultSort;
+  const sort = parseSort(sortParam || defaultSort, list);
+
+  const where = {};
+  for (const key of list.filterKeys) {
+    if (validation.data[key] !== undefined) where[key] = validation.data[key];
+  }
+  if (search) where.OR = list.searchFields.map(field => ({ [field]: { contains: search } }));
+  // The endpoint's own conditions (e.g. only the caller's orders) always win
+  Object.assign(where, args.where);
+
+  const query = { ...args, where, orderBy: toOrderBy(sort, list, lang), take: limit + 1 };
+  if (cursor) Object.assign(query, { cursor: { id: cursor }, skip: 1 });
+  else query.skip = (page - 1) * limit;
+
+  const [rows, total] = await Promise.all([model.findMany(query), model.count({ where })]);
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    items,
+    meta: {
+      page: cursor ? null : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor: hasMore ? items[items.length - 1].id : null,
+    },
+  };
+}
+
+module.exports = {
+  defineList,
+  paginate,
+  queryBoolean,
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const SUPPORTED_LOCALES = ['ar', 'en'];
+const DEFAULT_LOCALE = 'ar';
+
+/**
+ * First supported language of an Accept-Language header, by q-value.
+ * e.g. 'en-US,en;q=0.9,ar;q=0.8' -> 'en'
+ * @returns {String|null}
+ */
+function pickLocale(acceptLanguage) {
+  if (!acceptLanguage) return null;
+
+  const ranked = acceptLanguage
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { language: tag.split('-')[0].toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  const match = ranked.find(entry => SUPPORTED_LOCALES.includes(entry.language));
+  return match ? match.language : null;
+}
+
+/**
+ * The user's saved preference wins, then the request's Accept-Language.
+ * @param {Object} [user]
+ * @param {Object} [req]
+ */
+function resolveLocale(user, req) {
+  if (user && SUPPORTED_LOCALES.includes(user.locale)) return user.locale;
+  const fromHeader = req ? pickLocale(req.headers['accept-language']) : null;
+  return fromHeader || DEFAULT_LOCALE;
+}
+
+function isRtl(locale) {
+  return locale === 'ar';
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  pickLocale,
+  resolveLocale,
+  isRtl,
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const { SUPPORTED_LOCALES } = require('./locale');
+const { BadRequestError } = require('./errors');
+
+// Bilingual column pairs collapsed into one field by ?lang=
+const NAME_PAIRS = [
+  { field: 'name', ar: 'arName', en: 'engName' },
+  { field: 'servName', ar: 'arServName', en: 'engServName' },
+];
+
+const collators = {};
+
+function collatorFor(lang) {
+  if (!collators[lang]) collators[lang] = new Intl.Collator(lang, { sensitivity: 'base', numeric: true });
+  return collators[lang];
+}
+
+/**
+ * Middleware reading the optional ?lang=ar|en into req.lang.
+ */
+function langQuery(req, res, next) {
+  const { lang } = req.query;
+  if (lang === undefined) return next();
+  if (!SUPPORTED_LOCALES.includes(lang)) return next(new BadRequestError('INVALID_LANG'));
+  req.lang = lang;
+  return next();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function pick(entity, pair, lang) {
+  const other = lang === 'ar' ? 'en' : 'ar';
+  const value = entity[pair[lang]];
+  return value && value.trim() ? value : entity[pair[other]];
+}
+
+/**
+ * Replaces engName/arName (and the other pairs) with a single field in the
+ * requested language, falling back to the other language when empty.
+ * Included relations are projected the same way. Without a lang the data is
+ * returned untouched.
+ */
+function localize(data, lang) {
+  if (!lang) return data;
+  if (Array.isArray(data)) return data.map(item => localize(item, lang));
+  if (!isPlainObject(data)) return data;
+
+  const result = {};
+  const pairs = NAME_PAIRS.filter(pair => pair.ar in data && pair.en in data);
+  for (const [key, value] of Object.entries(data)) {
+    if (pairs.some(pair => key === pair.ar || key === pair.en)) continue;
+    result[key] = localize(value, lang);
+  }
+  for (const pair of pairs) result[pair.field] = pick(data, pair, lang);
+  return result;
+}
+
+/**
+ * localize() for a list read in full, sorted by the localized name with the
+ * language's collation (Arabic letters, hamza forms, digits...). Paginated
+ * lists keep the database order: sorting one page here would not match the
+ * pages around it.
+ */
+function localizeList(list, lang) {
+  if (!lang) return list;
+  const compare = collatorFor(lang).compare;
+  return localize(list, lang).sort((a, b) => compare(a.name || '', b.name || ''));
+}
+
+module.exports = {
+  langQuery,
+  localize,
+  localizeList,
+};
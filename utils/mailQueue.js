@@ -0,0 +1,94 @@
+'use strict';
+
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { deliverMail } = require('./mailer');
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 8);
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A SENDING row this old belongs to a worker that died mid-send
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+let running = false;
+
+function retryDelayMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+async function deliver(email) {
+  // Claim the row so another worker or process doesn't send it too
+  const { count } = await prisma.emailoutbox.updateMany({
+    where: { id: email.id, status: 'PENDING' },
+    data: { status: 'SENDING' },
+  });
+  if (!count) return;
+
+  try {
+    await deliverMail(email);
+    await prisma.emailoutbox.update({
+      where: { id: email.id },
+      data: { status: 'SENT', sentAt: new Date(), attempts: { increment: 1 }, lastError: null },
+    });
+  } catch (err) {
+    const attempts = email.attempts + 1;
+    const dead = attempts >= MAX_ATTEMPTS;
+    await prisma.emailoutbox.update({
+      where: { id: email.id },
+      data: {
+        status: dead ? 'DEAD' : 'PENDING',
+        attempts,
+        lastError: String(err.message || err).slice(0, 1000),
+        nextAttemptAt: dead ? undefined : new Date(Date.now() + retryDelayMs(attempts)),
+      },
+    });
+    if (dead) console.error(`✉️ Email ${email.id} to ${email.to} moved to DEAD after ${attempts} attempts:`, err.message);
+  }
+}
+
+/**
+ * Sends the emails that are due, one batch at a time until none is left.
+ * @returns {Promise<Number>} how many emails were tried
+ */
+async function processOutbox() {
+  if (running) return 0;
+  running = true;
+  let processed = 0;
+  try {
+    await prisma.emailoutbox.updateMany({
+      where: { status: 'SENDING', updatedAt: { lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      data: { status: 'PENDING' },
+    });
+
+    for (;;) {
+      const due = await prisma.emailoutbox.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+      for (const email of due) await deliver(email);
+      processed += due.length;
+      if (due.length < BATCH_SIZE) break;
+    }
+  } finally {
+    running = false;
+  }
+  return processed;
+}
+
+function scheduleMailQueueJob() {
+  cron.schedule('*/10 * * * * *', async () => {
+    try {
+      await processOutbox();
+    } catch (err) {
+      console.error('❌ Error processing the email outbox:', err);
+    }
+  });
+}
+
+module.exports = {
+  processOutbox,
+  scheduleMailQueueJob,
+};
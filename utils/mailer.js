@@ -1,37 +1,69 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { renderEmail } = require('./emailTemplates');
 
+/**
+ * MAIL_TRANSPORT picks how queued emails leave:
+ *  - smtp (default): SMTP_HOST, SMTP_PORT, ...
+ *  - file: each message is written as JSON to MAIL_DIR, for development and tests
+ */
 function createTransport() {
+  if (process.env.MAIL_TRANSPORT === 'file') return createFileTransport();
+
   const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE } = process.env;
   return nodemailer.createTransport({
     host: SMTP_HOST,
     port: Number(SMTP_PORT || 587),
     secure: SMTP_SECURE === 'true',
     auth: SMTP_USER && SMTP_PASS ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    // Pooled so the worker reuses connections instead of opening one per email
+    pool: true,
   });
 }
 
-async function sendMail({ to, subject, html, text }) {
-  const transport = createTransport();
+function createFileTransport(dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')) {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(message) {
+      const info = await json.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(dir, name), info.message);
+      return info;
+    },
+  };
+}
+
+let transport = null;
+
+/**
+ * Sends right away. Only the outbox worker (utils/mailQueue.js) should call it.
+ */
+async function deliverMail({ to, subject, html, text }) {
+  if (!transport) transport = createTransport();
   const from = process.env.MAIL_FROM || 'no-reply@example.com';
   return transport.sendMail({ from, to, subject, html, text });
 }
 
-function buildVerificationEmail({ username, code }) {
-  const html = `
-    <div style="font-family: Arial, sans-serif;">
-      <h2>Verification Code</h2>
-      <p>Hello ${username || ''},</p>
-      <p>Your verification code is:</p>
-      <h1 style="letter-spacing:4px;">${code}</h1>
-      <p>This code will expire in 15 minutes.</p>
-    </div>
-  `;
-  const text = `Your verification code is ${code}. It expires in 15 minutes.`;
-  return { html, text, subject: 'Your verification code' };
+/**
+ * Queues an email in the outbox; the worker delivers it in the background
+ * so a slow or broken SMTP server never holds up a request.
+ */
+async function sendMail({ to, subject, html, text }) {
+  return prisma.emailoutbox.create({ data: { to, subject, html, text } });
 }
 
-module.exports = { sendMail, buildVerificationEmail };
-
+/**
+ * Renders a named template (see utils/emailTemplates.js) in the locale and queues it.
+ */
+async function sendTemplateMail({ to, template, locale, data }) {
+  const { subject, html, text } = renderEmail(template, locale, data);
+  return sendMail({ to, subject, html, text });
+}
 
+module.exports = { sendMail, sendTemplateMail, deliverMail, createFileTransport };
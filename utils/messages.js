@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Message catalog: every text the API sends, keyed by a stable code that
+ * clients can rely on. `{name}` placeholders are filled from the params
+ * given to req.t() or to the error classes in utils/errors.js.
+ */
+module.exports = {
+  // General
+  INTERNAL_ERROR: { en: 'Internal server error', ar: 'حدث خطأ في الخادم' },
+  VALIDATION_ERROR: { en: 'Validation error', ar: 'البيانات المرسلة غير صالحة' },
+  INVALID_ID: { en: 'Invalid ID', ar: 'المعرف غير صالح' },
+  TOO_MANY_ATTEMPTS: { en: 'Too many attempts, please try again later', ar: 'محاولات كثيرة، يرجى المحاولة لاحقاً' },
+  FILE_NOT_IMAGE: { en: 'The file is not an image, please upload images only.', ar: 'الملف ليس صورة! يرجى رفع صورة فقط.' },
+  ROUTE_NOT_FOUND: { en: 'Route {method} {path} not found', ar: 'المسار {method} {path} غير موجود' },
+  INVALID_JSON: { en: 'The request body is not valid JSON', ar: 'محتوى الطلب ليس JSON صالحاً' },
+  PAYLOAD_TOO_LARGE: { en: 'The request body is too large', ar: 'حجم محتوى الطلب كبير جداً' },
+  UPLOAD_ERROR: { en: 'The file upload was rejected', ar: 'تم رفض رفع الملف' },
+  ALREADY_EXISTS: { en: 'A record with the same value already exists', ar: 'يوجد سجل بنفس القيمة مسبقاً' },
+  RELATED_RECORD_CONFLICT: { en: 'The operation conflicts with a related record', ar: 'العملية تتعارض مع سجل مرتبط' },
+  RECORD_NOT_FOUND: { en: 'Record not found', ar: 'السجل غير موجود' },
+  INVALID_LANG: { en: 'lang must be ar or en', ar: 'قيمة lang يجب أن تكون ar أو en' },
+
+  // Authentication
+  MISSING_TOKEN: { en: 'Missing token', ar: 'رمز الدخول مفقود' },
+  INVALID_TOKEN: { en: 'Invalid token', ar: 'رمز الدخول غير صالح' },
+  INVALID_TOKEN_PAYLOAD: { en: 'Invalid token payload', ar: 'محتوى رمز الدخول غير صالح' },
+  SESSION_NOT_FOUND: { en: 'Session expired or user not found', ar: 'انتهت الجلسة أو المستخدم غير موجود' },
+  SESSION_EXPIRED: { en: 'Session expired', ar: 'انتهت الجلسة' },
+  INVALID_REFRESH_TOKEN: { en: 'Invalid refresh token', ar: 'رمز التجديد غير صالح' },
+  ACCOUNT_INACTIVE: { en: 'Account is inactive', ar: 'الحساب غير مفعل' },
+  ACCOUNT_SUSPENDED: { en: 'Account is suspended', ar: 'الحساب موقوف' },
+  ACCOUNT_NOT_ACTIVE: { en: 'Account is not active', ar: 'الحساب غير نشط' },
+  NO_ROLE: { en: 'Forbidden: no role assigned to the user', ar: 'Forbidden: لا توجد صلاحية مخصصة للمستخدم' },
+  FORBIDDEN: { en: 'Sorry, you are not allowed to use this service', ar: 'للاسف انت لا تملك صلاحية لاستخدام هذه الخدمة' },
+  WRONG_IDENTIFIER: { en: 'email or username is wrong', ar: 'البريد الإلكتروني أو اسم المستخدم غير صحيح' },
+  WRONG_PASSWORD: { en: 'password is wrong', ar: 'كلمة المرور غير صحيحة' },
+  USERNAME_EXISTS: { en: 'Username exists', ar: 'اسم المستخدم مستخدم مسبقاً' },
+  EMAIL_EXISTS: { en: 'Email exists', ar: 'البريد الإلكتروني مستخدم مسبقاً' },
+  USERNAME_OR_EMAIL_EXISTS: { en: 'Username or email already exists', ar: 'اسم المستخدم أو البريد الإلكتروني مستخدم مسبقاً' },
+  EMAIL_NOT_VERIFIED: { en: 'Email not verified. Verification code sent.', ar: 'البريد الإلكتروني غير مؤكد. تم إرسال رمز التحقق.' },
+  VERIFICATION_CODE_SENT: { en: 'Verification code sent', ar: 'تم إرسال رمز التحقق' },
+  CODE_AND_EMAIL_REQUIRED: { en: 'Code and email required', ar: 'الرمز والبريد الإلكتروني مطلوبان' },
+  INVALID_CODE: { en: 'Invalid code', ar: 'الرمز غير صحيح' },
+  CODE_EXPIRED: { en: 'Code expired', ar: 'انتهت صلاحية الرمز' },
+  EMAIL_VERIFIED: { en: 'Email verified', ar: 'تم تأكيد البريد الإلكتروني' },
+  NO_EMAIL_TO_VERIFY: { en: 'No email to verify', ar: 'لا يوجد بريد إلكتروني لتأكيده' },
+  EMAIL_CHANGED: { en: 'Email changed', ar: 'تم تغيير البريد الإلكتروني' },
+  PASSWORD_RESET: { en: 'Password reset successfully', ar: 'تمت إعادة تعيين كلمة المرور بنجاح' },
+  PASSWORD_CHANGED: { en: 'Password changed successfully', ar: 'تم تغيير كلمة المرور بنجاح' },
+  OLD_PASSWORD_INCORRECT: { en: 'Old password incorrect', ar: 'كلمة المرور القديمة غير صحيحة' },
+  PASSWORD_CHANGE_FORBIDDEN: { en: 'No permission to change this password', ar: 'لا تملك صلاحية تغيير كلمة المرور هذه' },
+  SUPER_ADMIN_PASSWORD_FORBIDDEN: { en: 'Cannot change SUPER_ADMIN password', ar: 'لا يمكن تغيير كلمة مرور حساب سوبر ادمن' },
+  USER_PASSWORD_FORBIDDEN: { en: 'Cannot change password for this user', ar: 'لا يمكن تغيير كلمة المرور لهذا المستخدم' },
+  LOGGED_OUT: { en: 'Logged out', ar: 'تم تسجيل الخروج' },
+  OTP_SMS: { en: 'Your Rawa code is {code}. It expires in {minutes} minutes.', ar: 'رمز رواء الخاص بك هو {code}، صالح لمدة {minutes} دقيقة.' },
+  NO_PHONE_TO_VERIFY: { en: 'No phone number to verify', ar: 'لا يوجد رقم هاتف لتأكيده' },
+  PHONE_ALREADY_VERIFIED: { en: 'Phone number already verified', ar: 'رقم الهاتف مؤكد مسبقاً' },
+  PHONE_VERIFIED: { en: 'Phone number verified', ar: 'تم تأكيد رقم الهاتف' },
+  USERNAME_REQUIRED_FOR_SIGNUP: { en: 'username is required to create an account', ar: 'اسم المستخدم مطلوب لإنشاء حساب' },
+
+  // Two-factor authentication
+  INVALID_CHALLENGE: { en: 'Invalid or expired challenge', ar: 'رمز التحقق المؤقت غير صالح أو منتهي' },
+  TWO_FACTOR_ALREADY_ENABLED: { en: 'Two-factor authentication is already enabled', ar: 'التحقق بخطوتين مفعل مسبقاً' },
+  TWO_FACTOR_NOT_ENABLED: { en: 'Two-factor authentication is not enabled', ar: 'التحقق بخطوتين غير مفعل' },
+  TWO_FACTOR_SETUP_FIRST: { en: 'Call /rawa/2fa/setup first', ar: 'يرجى البدء بإعداد التحقق بخطوتين أولاً' },
+  TWO_FACTOR_ENABLED: { en: 'Two-factor authentication enabled', ar: 'تم تفعيل التحقق بخطوتين' },
+  TWO_FACTOR_DISABLED: { en: 'Two-factor authentication disabled', ar: 'تم إيقاف التحقق بخطوتين' },
+  TWO_FACTOR_SETUP_REQUIRED: { en: 'Two-factor authentication must be set up, please login again', ar: 'يجب إعداد التحقق بخطوتين، يرجى تسجيل الدخول مجدداً' },
+  TWO_FACTOR_MANDATORY: { en: 'Two-factor authentication is mandatory for this role', ar: 'التحقق بخطوتين إلزامي لهذا الدور' },
+  WRONG_PASSWORD_OR_CODE: { en: 'Wrong password or code', ar: 'كلمة المرور أو الرمز غير صحيح' },
+
+  // Users
+  USER_NOT_FOUND: { en: 'User not found', ar: 'المستخدم غير موجود' },
+  INVALID_USER_ID: { en: 'Invalid user ID', ar: 'معرف المستخدم غير صالح' },
+  USER_DELETED: { en: 'User deleted successfully', ar: 'تم حذف المستخدم بنجاح' },
+  SESSIONS_REVOKED: { en: 'Sessions revoked', ar: 'تم إنهاء الجلسات' },
+  USER_CREATE_FORBIDDEN: { en: 'You cannot create users', ar: 'لا يمكنك إنشاء مستخدم هنا' },
+  USER_ROLE_CREATE_FORBIDDEN: { en: 'You cannot create this type of user', ar: 'لا يمكنك إنشاء هذا النوع من المستخدمين' },
+  USER_UPDATE_FORBIDDEN: { en: 'Sorry, you are not allowed to edit this account', ar: 'للاسف انت لا تملك صلاحية تعديل هذا الحساب' },
+  USER_DELETE_FORBIDDEN: { en: 'Sorry, you are not allowed to delete this account', ar: 'للاسف انت لا تملك صلاحية حذف هذا الحساب' },
+  ROLE_CHANGE_FORBIDDEN: { en: 'You cannot change the role', ar: 'لا يمكنك تعديل الدور' },
+  ASSIGN_SUPER_ADMIN_FORBIDDEN: { en: 'An admin cannot assign the SUPER_ADMIN role', ar: 'لا يمكن للادمن تعيين دور SUPER_ADMIN' },
+  STATUS_CHANGE_FORBIDDEN: { en: 'You cannot change the account status', ar: 'لا يمكنك تعديل حالة الحساب' },
+  SUPER_ADMIN_STATUS_FORBIDDEN: { en: 'An admin cannot change the status of a super admin', ar: 'لا يمكن للادمن تعديل حالة حساب سوبر ادمن' },
+  OWN_STATUS_FORBIDDEN: { en: 'Cannot change your own status', ar: 'لا يمكنك تعديل حالة حسابك' },
+  PASSWORD_UPDATE_FORBIDDEN: { en: 'You cannot change the password here', ar: 'لا يمكنك تغيير كلمة السر هنا' },
+  SUPER_ADMIN_PASSWORD_UPDATE_FORBIDDEN: { en: 'An admin cannot change the password of a super admin', ar: 'لا يمكن للادمن تغيير كلمة سر حساب سوبر ادمن' },
+  SUPER_ADMIN_DELETE_FORBIDDEN: { en: 'An admin cannot delete a SUPER_ADMIN account', ar: 'لا يمكن للادمن حذف حساب SUPER_ADMIN' },
+  SESSIONS_REVOKE_FORBIDDEN: { en: "Sorry, you are not allowed to end this account's sessions", ar: 'للاسف انت لا تملك صلاحية لإنهاء جلسات هذا الحساب' },
+  SUPER_ADMIN_SESSIONS_FORBIDDEN: { en: "An admin cannot end a super admin's sessions", ar: 'لا يمكن للادمن إنهاء جلسات حساب سوبر ادمن' },
+
+  // Invitations
+  INVITE_ROLE_FORBIDDEN: { en: 'You cannot invite this type of user', ar: 'لا يمكنك دعوة هذا النوع من المستخدمين' },
+  EMAIL_ALREADY_REGISTERED: { en: 'Email already registered', ar: 'البريد الإلكتروني مسجل مسبقاً' },
+  INVITATION_NOT_FOUND: { en: 'Invitation not found', ar: 'الدعوة غير موجودة' },
+  INVITATION_REVOKE_FORBIDDEN: { en: 'Sorry, you are not allowed to revoke this invitation', ar: 'للاسف انت لا تملك صلاحية لإلغاء هذه الدعوة' },
+  INVITATION_REVOKED: { en: 'Invitation revoked', ar: 'تم إلغاء الدعوة' },
+  INVALID_INVITATION: { en: 'Invalid invitation', ar: 'الدعوة غير صالحة' },
+  INVITATION_EXPIRED: { en: 'Invitation expired', ar: 'انتهت صلاحية الدعوة' },
+
+  // Roles and permissions
+  ROLE_NOT_FOUND: { en: 'Role not found', ar: 'الدور غير موجود' },
+  ROLE_NAME_NOT_FOUND: { en: 'Role {name} not found', ar: 'الدور {name} غير موجود' },
+  INVALID_ROLE_ID: { en: 'Invalid role ID', ar: 'معرف الدور غير صالح' },
+  ROLE_EXISTS: { en: 'Role already exists', ar: 'الدور موجود مسبقاً' },
+  ROLE_NAME_EXISTS: { en: 'Role name already exists', ar: 'اسم الدور مستخدم مسبقاً' },
+  ROLE_DELETED: { en: 'Role deleted successfully', ar: 'تم حذف الدور بنجاح' },
+  UNKNOWN_PERMISSION: { en: 'Unknown permission', ar: 'صلاحية غير معروفة' },
+  PERMISSION_EXISTS: { en: 'Permission already exists', ar: 'الصلاحية موجودة مسبقاً' },
+  INVALID_PERMISSION_ID: { en: 'Invalid permission ID', ar: 'معرف الصلاحية غير صالح' },
+  PERMISSION_NOT_FOUND: { en: 'Permission not found', ar: 'الصلاحية غير موجودة' },
+  PERMISSION_DELETED: { en: 'Permission deleted successfully', ar: 'تم حذف الصلاحية بنجاح' },
+
+  // Geography
+  COUNTRY_NOT_FOUND: { en: 'Country not found', ar: 'الدولة غير موجودة' },
+  INVALID_COUNTRY_ID: { en: 'Invalid country ID', ar: 'معرف الدولة غير صالح' },
+  COUNTRY_EXISTS: { en: 'Country English or Arabic name already exists', ar: 'اسم الدولة بالعربية أو الإنجليزية موجود مسبقاً' },
+  COUNTRY_DELETED: { en: 'Country deleted successfully', ar: 'تم حذف الدولة بنجاح' },
+  CURRENCY_NOT_FOUND: { en: 'Currency not found', ar: 'العملة غير موجودة' },
+  INVALID_CURRENCY_ID: { en: 'Invalid currency ID', ar: 'معرف العملة غير صالح' },
+  CURRENCY_EXISTS: { en: 'Currency code already exists', ar: 'رمز العملة موجود مسبقاً' },
+  CURRENCY_DELETED: { en: 'Currency deleted successfully', ar: 'تم حذف العملة بنجاح' },
+  PROVINCE_NOT_FOUND: { en: 'Province not found', ar: 'المحافظة غير موجودة' },
+  INVALID_PROVINCE_ID: { en: 'Invalid province ID', ar: 'معرف المحافظة غير صالح' },
+  PROVINCE_EXISTS: { en: 'Province already exists in this country', ar: 'المحافظة موجودة مسبقاً في هذه الدولة' },
+  PROVINCE_NAME_EXISTS: { en: 'Province name already exists in this country', ar: 'اسم المحافظة موجود مسبقاً في هذه الدولة' },
+  PROVINCE_DELETED: { en: 'Province deleted successfully', ar: 'تم حذف المحافظة بنجاح' },
+  DISTRICT_NOT_FOUND: { en: 'District not found', ar: 'المنطقة غير موجودة' },
+  INVALID_DISTRICT_ID: { en: 'Invalid district ID', ar: 'معرف المنطقة غير صالح' },
+  DISTRICT_EXISTS: { en: 'District already exists in this province', ar: 'المنطقة موجودة مسبقاً في هذه المحافظة' },
+  DISTRICT_NAME_EXISTS: { en: 'District English or Arabic name already exists in this province', ar: 'اسم المنطقة بالعربية أو الإنجليزية موجود مسبقاً في هذه المحافظة' },
+  DISTRICT_DELETED: { en: 'District deleted successfully', ar: 'تم حذف المنطقة بنجاح' },
+  DISTRICT_NOT_IN_PROVINCE: { en: 'District does not belong to this province', ar: 'المنطقة لا تتبع لهذه المحافظة' },
+  PROVINCE_NOT_IN_COUNTRY: { en: 'Province does not belong to this country', ar: 'المحافظة لا تتبع لهذه الدولة' },
+  DISTRICT_NOT_IN_COUNTRY: { en: 'District does not belong to this country', ar: 'المنطقة لا تتبع لهذه الدولة' },
+
+  // Mosques, factories, products, ads
+  MOSQUE_NOT_FOUND: { en: 'Mosque not found', ar: 'المسجد غير موجود' },
+  INVALID_MOSQUE_ID: { en: 'Invalid mosque ID', ar: 'معرف المسجد غير صالح' },
+  MOSQUE_EXISTS: { en: 'Mosque already exists in this district', ar: 'المسجد موجود مسبقاً في هذه المنطقة' },
+  MOSQUE_NAME_EXISTS: { en: 'Mosque name already exists', ar: 'اسم المسجد موجود مسبقاً' },
+  MOSQUE_DELETED: { en: 'Mosque deleted successfully', ar: 'تم حذف المسجد بنجاح' },
+  IMPORT_FILE_REQUIRED: { en: 'Please upload a CSV or XLSX file', ar: 'يرجى رفع ملف CSV أو XLSX' },
+  IMPORT_FILE_TYPE: { en: 'Only CSV and XLSX files can be imported', ar: 'يمكن استيراد ملفات CSV و XLSX فقط' },
+  IMPORT_FILE_INVALID: { en: 'The file could not be read', ar: 'تعذرت قراءة الملف' },
+  IMPORT_FILE_EMPTY: { en: 'The file has no rows to import', ar: 'لا يحتوي الملف على صفوف للاستيراد' },
+  IMPORT_COLUMNS_MISSING: { en: 'Missing columns: {columns}', ar: 'أعمدة ناقصة: {columns}' },
+  IMPORT_TOO_MANY_ROWS: { en: 'A file can hold at most {max} rows', ar: 'يمكن أن يحتوي الملف على {max} صف كحد أقصى' },
+  IMPORT_HAS_ERRORS: { en: '{count} rows have errors, nothing was imported', ar: 'يوجد {count} صفوف فيها أخطاء، لم يتم استيراد أي شيء' },
+  IMPORT_DUPLICATE_ROW: { en: 'Same mosque as row {row}', ar: 'نفس المسجد في الصف {row}' },
+  NAME_AMBIGUOUS: { en: 'Several places are named {name}, give the level above it', ar: 'يوجد أكثر من مكان باسم {name}، يرجى تحديد المستوى الأعلى' },
+  MOSQUES_IMPORTED: { en: '{count} mosques imported', ar: 'تم استيراد {count} مسجد' },
+  FACTORY_NOT_FOUND: { en: 'Factory not found', ar: 'المصنع غير موجود' },
+  INVALID_FACTORY_ID: { en: 'Invalid factory ID', ar: 'معرف المصنع غير صالح' },
+  FACTORY_EMAIL_EXISTS: { en: 'Email already exists', ar: 'البريد الإلكتروني موجود مسبقاً' },
+  FACTORY_DELETED: { en: 'Factory deleted successfully', ar: 'تم حذف المصنع بنجاح' },
+  PRODUCT_NOT_FOUND: { en: 'Product not found', ar: 'المنتج غير موجود' },
+  INVALID_PRODUCT_ID: { en: 'Invalid product ID', ar: 'معرف المنتج غير صالح' },
+  PRODUCT_NOT_AVAILABLE: { en: 'Product is not available', ar: 'المنتج غير متوفر' },
+  PRODUCT_DELETED: { en: 'Product deleted successfully', ar: 'تم حذف المنتج بنجاح' },
+  NOT_ENOUGH_STOCK: { en: 'Not enough stock for this product', ar: 'الكمية المتوفرة من هذا المنتج غير كافية' },
+  AD_NOT_FOUND: { en: 'Ad not found', ar: 'الإعلان غير موجود' },
+  AD_PHOTO_REQUIRED: { en: 'Please upload a photo for the ad', ar: 'يرجى رفع صورة للإعلان' },
+  AD_DELETED: { en: 'Ad deleted successfully', ar: 'تم حذف الإعلان بنجاح' },
+
+  // Orders and deliveries
+  ORDER_NOT_FOUND: { en: 'Order not found', ar: 'الطلب غير موجود' },
+  INVALID_ORDER_ID: { en: 'Invalid order ID', ar: 'معرف الطلب غير صالح' },
+  ORDER_VIEW_FORBIDDEN: { en: 'Sorry, you are not allowed to view this order', ar: 'للاسف انت لا تملك صلاحية لعرض هذا الطلب' },
+  ORDER_STATUS_FORBIDDEN: { en: "Sorry, you are not allowed to change this order's status", ar: 'للاسف انت لا تملك صلاحية لتغيير حالة هذا الطلب' },
+  ORDER_TRANSITION_INVALID: { en: 'Cannot change order status from {from} to {to}', ar: 'لا يمكن تغيير حالة الطلب من {from} إلى {to}' },
+  ORDER_CHANGED: { en: 'Order status was changed by another request, please retry', ar: 'تم تغيير حالة الطلب من طلب آخر، يرجى المحاولة مجدداً' },
+  ORDER_NOT_IN_FLOW: { en: 'Order is {status}', ar: 'حالة الطلب {status}' },
+  DELIVERY_NOT_FOUND: { en: 'Delivery not found', ar: 'التوصيل غير موجود' },
+  INVALID_DELIVERY_ID: { en: 'Invalid delivery ID', ar: 'معرف التوصيل غير صالح' },
+  DELIVERY_VIEW_FORBIDDEN: { en: 'Sorry, you are not allowed to view this delivery', ar: 'للاسف انت لا تملك صلاحية لعرض هذا التوصيل' },
+  DELIVERY_UPDATE_FORBIDDEN: { en: 'Sorry, you are not allowed to update this delivery', ar: 'للاسف انت لا تملك صلاحية لتعديل هذا التوصيل' },
+  DELIVERY_TRANSITION_INVALID: { en: 'Cannot change delivery status from {from} to {to}', ar: 'لا يمكن تغيير حالة التوصيل من {from} إلى {to}' },
+  DELIVERY_CHANGED: { en: 'Delivery was changed by another request, please retry', ar: 'تم تعديل التوصيل من طلب آخر، يرجى المحاولة مجدداً' },
+  DELIVERY_ALREADY_STARTED: { en: 'Delivery is already {status}', ar: 'حالة التوصيل {status} مسبقاً' },
+  COURIER_NOT_FOUND: { en: 'Courier not found', ar: 'مندوب التوصيل غير موجود' },
+  COURIER_NOT_ACTIVE: { en: 'Courier account is not active', ar: 'حساب مندوب التوصيل غير نشط' },
+  ORDER_NOT_ASSIGNABLE: { en: 'Cannot assign a courier to a {status} order', ar: 'لا يمكن تعيين مندوب لطلب حالته {status}' },
+
+  // Email templates
+  EMAIL_TEMPLATE_NOT_FOUND: { en: 'Unknown email template {name}', ar: 'قالب البريد {name} غير معروف' },
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const { normalizeSearch } = require('./search');
+
+const COLUMNS = [
+  'engName', 'arName', 'engServName', 'arServName', 'phone', 'address',
+  'latitude', 'longitude', 'country', 'province', 'district',
+];
+const REQUIRED_COLUMNS = ['engName', 'arName', 'engServName', 'arServName', 'phone'];
+const NUMBER_COLUMNS = ['latitude', 'longitude'];
+const LEVELS = ['country', 'province', 'district'];
+
+// Headers are matched without case, spaces, dashes or underscores: "Eng Name" is engName
+function columnKey(header) {
+  return header.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function missingColumns(headers) {
+  const keys = headers.map(columnKey);
+  return REQUIRED_COLUMNS.filter(column => !keys.includes(columnKey(column)));
+}
+
+/**
+ * A sheet row as createMosque fields plus the country / province / district
+ * names. Coordinates are parsed here so zod reports the bad ones.
+ */
+function toRecord(values) {
+  const byKey = {};
+  for (const [header, value] of Object.entries(values)) byKey[columnKey(header)] = value;
+
+  const record = {};
+  for (const column of COLUMNS) {
+    const value = byKey[columnKey(column)];
+    if (value === undefined) continue;
+    record[column] = NUMBER_COLUMNS.includes(column) ? Number(value) : value;
+  }
+  return record;
+}
+
+function byName(places) {
+  const index = new Map();
+  for (const place of places) {
+    for (const name of new Set([normalizeSearch(place.arName), normalizeSearch(place.engName)])) {
+      if (!index.has(name)) index.set(name, []);
+      index.get(name).push(place);
+    }
+  }
+  return index;
+}
+
+/**
+ * Every country, province and district indexed by normalized Arabic and
+ * English name, read once per import.
+ */
+async function loadLocations(db) {
+  const select = { id: true, engName: true, arName: true };
+  const [countries, provinces, districts] = await Promise.all([
+    db.country.findMany({ select }),
+    db.province.findMany({ select: { ...select, countryId: true } }),
+    db.district.findMany({ select: { ...select, provinceId: true } }),
+  ]);
+
+  return {
+    country: byName(countries),
+    province: byName(provinces),
+    district: byName(districts),
+    provincesById: new Map(provinces.map(province => [province.id, province])),
+  };
+}
+
+// countryId / provinceId / districtId a place stands for
+function chainOf(level, place, locations) {
+  if (level === 'country') return { countryId: place.id };
+  if (level === 'province') return { countryId: place.countryId, provinceId: place.id };
+  const province = locations.provincesById.get(place.provinceId);
+  return { countryId: province && province.countryId, provinceId: place.provinceId, districtId: place.id };
+}
+
+function notInParentCode(level, location) {
+  if (level === 'province') return 'PROVINCE_NOT_IN_COUNTRY';
+  return location.provinceId === undefined ? 'DISTRICT_NOT_IN_COUNTRY' : 'DISTRICT_NOT_IN_PROVINCE';
+}
+
+/**
+ * Turns the country / province / district names of a record into ids, each
+ * level looked up inside the ones above it. A district alone is enough when
+ * its name is unique.
+ * @returns {{ location: Object, errors: Array<{ field: String, code: String, params?: Object }> }}
+ */
+function resolveNames(locations, record) {
+  const location = {};
+  const errors = [];
+
+  for (const level of LEVELS) {
+    const name = record[level];
+    if (!name) continue;
+
+    const all = (locations[level].get(normalizeSearch(name)) || []).map(place => chainOf(level, place, locations));
+    const fits = all.filter(chain => Object.keys(location).every(key => chain[key] === location[key]));
+
+    if (fits.length === 1) Object.assign(location, fits[0]);
+    else if (fits.length > 1) errors.push({ field: level, code: 'NAME_AMBIGUOUS', params: { name } });
+    else if (all.length) errors.push({ field: level, code: notInParentCode(level, location) });
+    else errors.push({ field: level, code: `${level.toUpperCase()}_NOT_FOUND` });
+  }
+
+  return { location, errors };
+}
+
+function nameKeys({ engName, arName }) {
+  return [
+    engName && `en:${engName.trim().toLowerCase()}`,
+    arName && `ar:${arName.trim().toLowerCase()}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Adds a mosque to a Map read by findNamesake(), under each name alone and
+ * each name with its district. The first mosque of a key is kept.
+ * @param {*} [value] what findNamesake() returns for it, the mosque by default
+ */
+function addNamesake(index, mosque, value = mosque) {
+  for (const key of nameKeys(mosque)) {
+    for (const scoped of [key, `${key}|${mosque.districtId || ''}`]) {
+      if (!index.has(scoped)) index.set(scoped, value);
+    }
+  }
+}
+
+// The createMosque rule: a name already used in the district, or anywhere when there is no district
+function findNamesake(index, mosque) {
+  const scope = mosque.districtId ? `|${mosque.districtId}` : '';
+  for (const key of nameKeys(mosque)) {
+    if (index.has(key + scope)) return index.get(key + scope);
+  }
+  return null;
+}
+
+/**
+ * Mosques already stored under any of the given names, for addNamesake().
+ */
+function findNamesakes(db, mosques) {
+  return db.mosque.findMany({
+    where: {
+      OR: [
+        { engName: { in: mosques.map(mosque => mosque.engName) } },
+        { arName: { in: mosques.map(mosque => mosque.arName) } },
+      ],
+    },
+    select: { id: true, engName: true, arName: true, districtId: true },
+  });
+}
+
+module.exports = {
+  missingColumns,
+  toRecord,
+  loadLocations,
+  resolveNames,
+  addNamesake,
+  findNamesake,
+  findNamesakes,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const { hasPermission } = require('./permissions');
+const { BadRequestError, ForbiddenError } = require('./errors');
+
+/**
+ * حالات الطلب المسموح الانتقال إليها والصلاحية المطلوبة لكل انتقال
+ * OWNER = the user who placed the order
+ */
+const TRANSITIONS = {
+  PENDING: {
+    CONFIRMED: ['order:confirm'],
+    CANCELLED: ['order:cancel', 'OWNER'],
+  },
+  CONFIRMED: {
+    PREPARING: ['order:process'],
+    CANCELLED: ['order:cancel'],
+  },
+  PREPARING: {
+    ON_THE_WAY: ['order:process'],
+    CANCELLED: ['order:cancel'],
+  },
+  ON_THE_WAY: {
+    DELIVERED: ['order:deliver'],
+    CANCELLED: ['order:cancel'],
+  },
+  DELIVERED: {},
+  CANCELLED: {},
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// Normal forward path of an order, without cancellation
+const ORDER_FLOW = ['PENDING', 'CONFIRMED', 'PREPARING', 'ON_THE_WAY', 'DELIVERED'];
+
+function nextStatuses(from) {
+  return Object.keys(TRANSITIONS[from] || {});
+}
+
+/**
+ * Throws a 400/403 error (same shape as checkRole.verify) when the user
+ * cannot move the order from its current status to `to`.
+ * With `skipPermissionCheck` only the transition itself is validated, for
+ * changes driven by another workflow that already checked the caller.
+ */
+async function assertTransition(order, to, user, { skipPermissionCheck = false } = {}) {
+  const required = (TRANSITIONS[order.status] || {})[to];
+  if (!required) {
+    throw new BadRequestError('ORDER_TRANSITION_INVALID', { from: order.status, to });
+  }
+
+  if (skipPermissionCheck) return true;
+
+  const isOwner = user && order.userId === user.id;
+  if (isOwner && required.includes('OWNER')) return true;
+
+  for (const permission of required) {
+    if (permission !== 'OWNER' && await hasPermission(user, permission)) return true;
+  }
+
+  throw new ForbiddenError('ORDER_STATUS_FORBIDDEN');
+}
+
+module.exports = {
+  TRANSITIONS,
+  ORDER_STATUSES,
+  ORDER_FLOW,
+  nextStatuses,
+  assertTransition,
+};
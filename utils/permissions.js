@@ -0,0 +1,75 @@
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ForbiddenError } = require('./errors');
+
+// Role permissions rarely change, keep them for a minute between lookups
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Permission names granted to a role, e.g. Set { 'product:write', 'order:confirm' }
+ * @param {String} roleName
+ * @returns {Promise<Set<String>>}
+ */
+async function getPermissions(roleName) {
+  if (!roleName) return new Set();
+
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await prisma.role.findUnique({
+    where: { name: roleName },
+    include: { permissions: { select: { name: true } } },
+  });
+  const permissions = new Set(role ? role.permissions.map(p => p.name) : []);
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+/**
+ * SUPER_ADMIN always passes so a wrong permission setup can't lock everyone out.
+ */
+async function hasPermission(user, permission) {
+  if (!user || !user.role) return false;
+  if (user.role === 'SUPER_ADMIN') return true;
+  return (await getPermissions(user.role)).has(permission);
+}
+
+// Call after changing the permissions of a role
+function clearPermissionCache(roleName) {
+  if (roleName) cache.delete(roleName);
+  else cache.clear();
+}
+
+/**
+ * Middleware لفحص صلاحية محددة للـ Express routes بدلاً من قائمة الأدوار
+ * @param {String} permission e.g. 'product:write'
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (!user || !user.role) {
+        return next(new ForbiddenError('NO_ROLE'));
+      }
+
+      if (!await hasPermission(user, permission)) {
+        return next(new ForbiddenError('FORBIDDEN'));
+      }
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = {
+  requirePermission,
+  hasPermission,
+  getPermissions,
+  clearPermissionCache,
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const { z } = require('zod');
+
+// Spaces, dashes and brackets are dropped, a leading 00 becomes +
+const phoneSchema = z.string()
+  .transform(v => v.replace(/[\s\-()]/g, '').replace(/^00/, '+'))
+  .pipe(z.string().regex(/^\+?\d{7,15}$/, 'Invalid phone number'));
+
+module.exports = {
+  phoneSchema,
+};
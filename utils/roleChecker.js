@@ -1,5 +1,7 @@
 'use strict';
 
+const { ForbiddenError } = require('./errors');
+
 /**
  * Middleware لفحص الصلاحيات للـ Express routes
  * @param {Array<String>} allowedRoles
@@ -9,11 +11,11 @@ function checkRole(allowedRoles) {
     const user = req.user; 
 
     if (!user || !user.role) {
-      return res.status(403).json({ message: 'Forbidden: لا توجد صلاحية مخصصة للمستخدم' });
+      return next(new ForbiddenError('NO_ROLE'));
     }
 
     if (!allowedRoles.includes(user.role)) {
-      return res.status(403).json({ message: 'للاسف انت لا تملك صلاحية لاستخدام هذه الخدمة' });
+      return next(new ForbiddenError('FORBIDDEN'));
     }
 
     next();
@@ -23,15 +25,11 @@ function checkRole(allowedRoles) {
 
 checkRole.verify = function(user, allowedRoles) {
   if (!user || !user.role) {
-    const err = new Error("Forbidden: لا توجد صلاحية مخصصة للمستخدم");
-    err.status = 403;
-    throw err;
+    throw new ForbiddenError('NO_ROLE');
   }
 
   if (!allowedRoles.includes(user.role)) {
-    const err = new Error("للاسف انت لا تملك صلاحية لاستخدام هذه الخدمة");
-    err.status = 403;
-    throw err;
+    throw new ForbiddenError('FORBIDDEN');
   }
 
   return true;
@@ -42,5 +40,15 @@ checkRole.isSuperAdmin = (user) => user?.role === 'SUPER_ADMIN';
 checkRole.isAdmin      = (user) => user?.role === 'ADMIN';
 checkRole.isDataEntry  = (user) => user?.role === 'DATA_ENTRY';
 checkRole.isNormalUser = (user) => user?.role === 'USER';
+checkRole.isCourier    = (user) => user?.role === 'COURIER';
+
+// الأدوار التي يستطيع كل دور إنشاءها أو دعوتها
+const creatableRoles = {
+  SUPER_ADMIN: ['SUPER_ADMIN','ADMIN','DATA_ENTRY','FACTORY_OWNER','EMPLOYEE','COURIER','USER'],
+  ADMIN: ['ADMIN','DATA_ENTRY','FACTORY_OWNER','EMPLOYEE','COURIER','USER'],
+  DATA_ENTRY: ['ADMIN','DATA_ENTRY','USER'],
+};
+
+checkRole.creatableRoles = (user) => creatableRoles[user?.role] || [];
 
 module.exports = checkRole;
@@ -0,0 +1,105 @@
+'use strict';
+
+// Harakat (fathatan .. sukun), superscript alef and tatweel are dropped
+const ARABIC_MARKS = /[\u064B-\u0652\u0670\u0640]/g;
+
+// Letters people type interchangeably
+const ARABIC_VARIANTS = [
+  [/[أإآٱ]/g, 'ا'],
+  [/ؤ/g, 'و'],
+  [/[ئى]/g, 'ي'],
+  [/ة/g, 'ه'],
+];
+
+/**
+ * Text reduced to what a search should compare: no Arabic diacritics, one
+ * form of alef / hamza / taa marbuta / yaa, lower case, single spaces.
+ * The migration adding searchName applies the same replacements in SQL.
+ */
+function normalizeSearch(text) {
+  if (!text) return '';
+  let result = text.normalize('NFC').replace(ARABIC_MARKS, '');
+  for (const [pattern, letter] of ARABIC_VARIANTS) result = result.replace(pattern, letter);
+  return result.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Value of the searchName column for a product, mosque or factory.
+ */
+function searchNameOf({ arName, engName }) {
+  return `${normalizeSearch(arName)} ${normalizeSearch(engName)}`.trim();
+}
+
+/**
+ * searchName for an update: the changed names over the stored ones.
+ * Undefined when neither name changes, so Prisma leaves the column alone.
+ */
+function searchNameFor(current, changes) {
+  if (changes.arName === undefined && changes.engName === undefined) return undefined;
+  return searchNameOf({
+    arName: changes.arName === undefined ? current.arName : changes.arName,
+    engName: changes.engName === undefined ? current.engName : changes.engName,
+  });
+}
+
+// Every word of the query has to appear, in any order
+function searchWhere(query) {
+  const words = [...new Set(normalizeSearch(query).split(' ').filter(Boolean))];
+  return { AND: words.map(word => ({ searchName: { contains: word } })) };
+}
+
+function scoreName(name, query, words) {
+  if (!name) return 0;
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80;
+  const nameWords = name.split(' ');
+  if (nameWords.some(word => word.startsWith(query))) return 60;
+  if (name.includes(query)) return 40;
+  if (words.every(word => name.includes(word))) {
+    // words typed as the start of words rank above ones found mid-word
+    const prefixes = words.filter(word => nameWords.some(w => w.startsWith(word))).length;
+    return 20 + Math.round(10 * prefixes / words.length);
+  }
+  return 0;
+}
+
+/**
+ * Orders search hits best first: exact name, then name prefix, word prefix,
+ * substring and finally all words found apart. Each hit gets a `score`;
+ * shorter names win ties.
+ * @param {Array<{ arName: String, engName: String }>} items
+ * @param {String} query the raw ?q=
+ */
+function rankResults(items, query) {
+  const normalized = normalizeSearch(query);
+  const words = normalized.split(' ').filter(Boolean);
+
+  return items
+    .map(item => {
+      const names = [normalizeSearch(item.arName), normalizeSearch(item.engName)];
+      const scores = names.map(name => scoreName(name, normalized, words));
+      const best = Math.max(...scores);
+      return { item, score: best || 10, length: names[scores.indexOf(best)].length };
+    })
+    .sort((a, b) => b.score - a.score || a.length - b.length)
+    .map(({ item, score }) => ({ ...item, score }));
+}
+
+/**
+ * PrismaClient omit option: searchName only serves /rawa/search, so it stays
+ * out of every product, mosque and factory read, includes of them too.
+ */
+const OMIT_SEARCH_NAME = {
+  product: { searchName: true },
+  mosque: { searchName: true },
+  factory: { searchName: true },
+};
+
+module.exports = {
+  OMIT_SEARCH_NAME,
+  normalizeSearch,
+  searchNameOf,
+  searchNameFor,
+  searchWhere,
+  rankResults,
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { signJwt } = require('./jwt');
+const authMiddleware = require('../middleware/auth');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// These roles can't get a session without 2FA
+const TWO_FACTOR_ROLES = ['SUPER_ADMIN', 'ADMIN'];
+
+// user must be loaded with `include: { role: true }`
+function isTwoFactorRequired(user) {
+  return Boolean(user.role && TWO_FACTOR_ROLES.includes(user.role.name));
+}
+
+// Refresh tokens are random, so a plain sha256 is enough to store them safely
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function requestMetadata(req) {
+  const userAgent = req && req.headers['user-agent'];
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 191) : null,
+    ip: req ? req.ip : null,
+  };
+}
+
+function signAccessToken(user, session) {
+  return signJwt({ sub: user.id, username: user.username, sid: session.id });
+}
+
+/**
+ * Opens a new session for the user and returns the token pair.
+ * @returns {Promise<{ token: String, refreshToken: String }>}
+ */
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(),
+      ...requestMetadata(req),
+    },
+  });
+  return { token: signAccessToken(user, session), refreshToken };
+}
+
+/**
+ * Exchanges a refresh token for a new pair. The old refresh token stops
+ * working; presenting it again revokes the session as it was probably stolen.
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({ where: { tokenHash }, include: { user: { include: { role: true } } } });
+
+  if (!session) {
+    const reused = await prisma.session.findFirst({ where: { previousTokenHash: tokenHash, revokedAt: null } });
+    if (reused) await revokeSession(reused.id);
+
+    throw new UnauthorizedError('INVALID_REFRESH_TOKEN');
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw new UnauthorizedError('SESSION_EXPIRED');
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    throw new ForbiddenError('ACCOUNT_NOT_ACTIVE');
+  }
+
+  // Sessions opened before the role required 2FA end here; logging in again starts the setup
+  if (isTwoFactorRequired(session.user) && !session.user.twoFactorEnabled) {
+    await revokeSession(session.id);
+    throw new ForbiddenError('TWO_FACTOR_SETUP_REQUIRED');
+  }
+
+  // Only one request can rotate a token; a concurrent one with the same token is reuse
+  const nextToken = newRefreshToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, tokenHash, revokedAt: null },
+    data: {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date(),
+      ...requestMetadata(req),
+    },
+  });
+  if (count === 0) {
+    await revokeSession(session.id);
+    throw new UnauthorizedError('INVALID_REFRESH_TOKEN');
+  }
+
+  return { token: signAccessToken(session.user, session), refreshToken: nextToken };
+}
+
+async function revokeSession(sessionId) {
+  const session = await prisma.session.update({
+    where: { id: sessionId },
+    data: { revokedAt: new Date() },
+  });
+  authMiddleware.clearCache(session.userId);
+  return session;
+}
+
+// Logs the user out everywhere, e.g. when an admin suspends the account
+async function revokeAllSessions(userId) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  authMiddleware.clearCache(userId);
+  return count;
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
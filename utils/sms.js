@@ -0,0 +1,75 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { translate } = require('./i18n');
+
+/**
+ * An SMS provider is any object with `async send({ to, text })`.
+ * SMS_PROVIDER picks one of the built-in providers:
+ *  - console (default outside production): prints the message, for local development
+ *  - file: appends one JSON line per message to SMS_FILE, for tests
+ * A real gateway is plugged in with setSmsProvider(). In production there is
+ * no default, so codes never end up in the logs instead of on a phone.
+ */
+
+function createConsoleProvider() {
+  return {
+    async send({ to, text }) {
+      console.log(`[sms] to ${to}: ${text}`);
+    },
+  };
+}
+
+function createFileProvider(file = process.env.SMS_FILE || path.join(process.cwd(), 'tmp', 'sms.log')) {
+  return {
+    async send({ to, text }) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(file, line + '\n');
+    },
+  };
+}
+
+function createProvider() {
+  switch (process.env.SMS_PROVIDER) {
+    case 'file':
+      return createFileProvider();
+    case 'console':
+      return createConsoleProvider();
+    default:
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('No SMS provider: call setSmsProvider() or set SMS_PROVIDER');
+      }
+      return createConsoleProvider();
+  }
+}
+
+let provider = null;
+
+function setSmsProvider(custom) {
+  provider = custom;
+}
+
+async function sendSms({ to, text }) {
+  if (!provider) provider = createProvider();
+  return provider.send({ to, text });
+}
+
+/**
+ * @param {Object} options
+ * @param {String} options.code
+ * @param {Number} options.minutes time until the code expires
+ * @param {String} options.locale
+ */
+function buildOtpSms({ code, minutes, locale }) {
+  return { text: translate('OTP_SMS', locale, { code, minutes }) };
+}
+
+module.exports = {
+  sendSms,
+  buildOtpSms,
+  setSmsProvider,
+  createConsoleProvider,
+  createFileProvider,
+};
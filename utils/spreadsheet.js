@@ -0,0 +1,74 @@
+'use strict';
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { BadRequestError } = require('./errors');
+
+const SPREADSHEET_TYPES = ['.csv', '.xlsx'];
+
+// Multer filter for uploads read with readRows()
+function spreadsheetFilter(req, file, cb) {
+  if (SPREADSHEET_TYPES.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new BadRequestError('IMPORT_FILE_TYPE'), false);
+  }
+}
+
+async function loadWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+      await workbook.xlsx.load(file.buffer);
+    } else {
+      // map keeps every value as text, so phone numbers keep their leading zeros
+      await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+    }
+  } catch (err) {
+    throw new BadRequestError('IMPORT_FILE_INVALID');
+  }
+  return workbook;
+}
+
+function cellText(cell) {
+  return String(cell.text || '').replace(/^\uFEFF/, '').trim();
+}
+
+/**
+ * Rows of the first sheet of an uploaded CSV or XLSX file (multer memory
+ * storage), as objects keyed by the header row. Empty rows are skipped.
+ * @param {Object} file req.file
+ * @param {Object} options
+ * @param {Number} options.maxRows
+ * @returns {Promise<{ headers: Array<String>, rows: Array<{ row: Number, values: Object<String, String> }> }>}
+ *   row is the line number shown by spreadsheet programs
+ */
+async function readRows(file, { maxRows }) {
+  const workbook = await loadWorkbook(file);
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) throw new BadRequestError('IMPORT_FILE_EMPTY');
+  if (sheet.rowCount - 1 > maxRows) throw new BadRequestError('IMPORT_TOO_MANY_ROWS', { max: maxRows });
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = cellText(cell); });
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const values = {};
+    row.eachCell((cell, col) => {
+      const text = cellText(cell);
+      if (headers[col] && text) values[headers[col]] = text;
+    });
+    if (Object.keys(values).length) rows.push({ row: number, values });
+  });
+
+  if (!rows.length) throw new BadRequestError('IMPORT_FILE_EMPTY');
+  return { headers: headers.filter(Boolean), rows };
+}
+
+module.exports = {
+  spreadsheetFilter,
+  readRows,
+};
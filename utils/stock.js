@@ -0,0 +1,60 @@
+'use strict';
+
+const { ConflictError } = require('./errors');
+
+/**
+ * Product status that matches a stock quantity.
+ * INACTIVE products are left alone; the others flip between
+ * ACTIVE and OUT_OF_STOCK.
+ */
+function statusForQuantity(quantity, currentStatus) {
+  if (currentStatus === 'INACTIVE') return currentStatus;
+  return quantity > 0 ? 'ACTIVE' : 'OUT_OF_STOCK';
+}
+
+/**
+ * Decrements stock for every line inside the given transaction.
+ * The `quantity >= n` guard makes the decrement atomic, so two
+ * concurrent orders can never take the same units.
+ * @param {Array<{productId: number, quantity: number}>} lines
+ */
+async function reserveStock(tx, lines) {
+  for (const { productId, quantity } of lines) {
+    const { count } = await tx.product.updateMany({
+      where: { id: productId, status: 'ACTIVE', quantity: { gte: quantity } },
+      data: { quantity: { decrement: quantity } },
+    });
+
+    if (count === 0) {
+      throw new ConflictError('NOT_ENOUGH_STOCK', undefined, { productId });
+    }
+
+    await tx.product.updateMany({
+      where: { id: productId, quantity: { lte: 0 } },
+      data: { status: 'OUT_OF_STOCK' },
+    });
+  }
+}
+
+/**
+ * Gives the stock of the lines back, e.g. when an order is cancelled.
+ */
+async function releaseStock(tx, lines) {
+  for (const { productId, quantity } of lines) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { quantity: { increment: quantity } },
+    });
+
+    await tx.product.updateMany({
+      where: { id: productId, status: 'OUT_OF_STOCK', quantity: { gt: 0 } },
+      data: { status: 'ACTIVE' },
+    });
+  }
+}
+
+module.exports = {
+  statusForQuantity,
+  reserveStock,
+  releaseStock,
+};
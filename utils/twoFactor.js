@@ -0,0 +1,94 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { signJwt, verifyJwt } = require('./jwt');
+const { createSession, isTwoFactorRequired } = require('./session');
+const { verifyTotp, decryptSecret } = require('./totp');
+
+const CHALLENGE_EXPIRES_IN = '10m';
+const RECOVERY_CODES_COUNT = 10;
+
+// The challenge has no `sid`, so authMiddleware never accepts it as an access token
+function signChallenge(user) {
+  return signJwt({ sub: user.id, purpose: '2fa' }, { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * @returns {Number|null} the user id of a valid challenge token
+ */
+function readChallenge(token) {
+  const payload = token ? verifyJwt(token) : null;
+  if (!payload || payload.purpose !== '2fa') return null;
+  const userId = Number(payload.sub);
+  return isNaN(userId) ? null : userId;
+}
+
+/**
+ * Issues the token pair, or a challenge when the user still has to pass
+ * (or set up) the second factor.
+ */
+async function startSession(user, req) {
+  if (user.twoFactorEnabled || isTwoFactorRequired(user)) {
+    return {
+      twoFactorRequired: true,
+      setupRequired: !user.twoFactorEnabled,
+      challengeToken: signChallenge(user),
+    };
+  }
+  return createSession(user, req);
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Replaces the user's recovery codes.
+ * @returns {Promise<String[]>} the plain codes, shown to the user once
+ */
+async function regenerateRecoveryCodes(userId, db = prisma) {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.recoverycode.deleteMany({ where: { userId } });
+  await db.recoverycode.createMany({ data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })) });
+  return codes;
+}
+
+/**
+ * Checks a TOTP code and remembers its step so the same code can't be replayed.
+ */
+async function checkTotp(user, code) {
+  if (!user.twoFactorSecret) return false;
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) return false;
+
+  // Only one request can move the step forward
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+    data: { twoFactorLastStep: step },
+  });
+  return count === 1;
+}
+
+// Recovery codes work once each
+async function useRecoveryCode(user, code) {
+  const { count } = await prisma.recoverycode.updateMany({
+    where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count === 1;
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  readChallenge,
+  startSession,
+  regenerateRecoveryCodes,
+  checkTotp,
+  useRecoveryCode,
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendTemplateMail } = require('./mailer');
+const { resolveLocale } = require('./locale');
+const { sendSms, buildOtpSms } = require('./sms');
+
+const CODE_TTL_MS = 15 * 60 * 1000;
+const CODE_SECRET = process.env.CODE_SECRET || process.env.JWT_SECRET || 'dev_secret_change_me';
+
+// 6-digit codes are easy to brute-force from a leaked table, so they are
+// stored as an HMAC keyed with a server secret rather than a plain hash
+function hashCode(code) {
+  return crypto.createHmac('sha256', CODE_SECRET).update(String(code)).digest('hex');
+}
+
+/**
+ * Creates a new code for the purpose and invalidates the user's
+ * outstanding codes of the same purpose.
+ * @param {Number} userId
+ * @param {'EMAIL_VERIFY'|'PASSWORD_RESET'|'EMAIL_CHANGE'} purpose
+ * @param {String} [email] address the code is sent to, the new one for EMAIL_CHANGE
+ * @returns {Promise<String>} the plain code, to be sent to the user
+ */
+async function issueCode(userId, purpose, email) {
+  const code = String(crypto.randomInt(100000, 1000000));
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+
+  await prisma.$transaction([
+    prisma.emailverification.updateMany({ where: { userId, purpose, consumed: false }, data: { consumed: true } }),
+    prisma.emailverification.create({ data: { userId, purpose, email, codeHash: hashCode(code), expiresAt } }),
+  ]);
+
+  return code;
+}
+
+const TEMPLATE_FOR = {
+  EMAIL_VERIFY: 'verification',
+  PASSWORD_RESET: 'passwordReset',
+  EMAIL_CHANGE: 'emailChange',
+};
+
+/**
+ * Issues a code and emails it.
+ * @param {Object} user
+ * @param {String} [purpose]
+ * @param {Object} [options]
+ * @param {String} [options.to] defaults to the user's email, the new address for EMAIL_CHANGE
+ * @param {String} [options.locale] defaults to the user's preference
+ */
+async function sendVerificationCode(user, purpose = 'EMAIL_VERIFY', { to = user.email, locale } = {}) {
+  const code = await issueCode(user.id, purpose, to);
+  await sendTemplateMail({
+    to,
+    template: TEMPLATE_FOR[purpose],
+    locale: locale || resolveLocale(user),
+    data: { username: user.username, code },
+  });
+}
+
+/**
+ * The outstanding record matching the code, only for the given purpose.
+ */
+async function findCode(userId, purpose, code) {
+  return prisma.emailverification.findFirst({
+    where: { userId, purpose, codeHash: hashCode(code), consumed: false },
+    orderBy: { id: 'desc' },
+  });
+}
+
+// Marks every outstanding code of the user as used
+async function invalidateCodes(userId) {
+  await prisma.emailverification.updateMany({ where: { userId, consumed: false }, data: { consumed: true } });
+}
+
+/**
+ * Sends a one-time login/signup code by SMS. Phone codes aren't tied to a
+ * user because the number may not belong to an account yet.
+ * @param {String} phone normalized number
+ * @param {Object} [options]
+ * @param {String} [options.locale] language of the SMS, the default locale otherwise
+ */
+async function sendPhoneCode(phone, { locale } = {}) {
+  const code = String(crypto.randomInt(100000, 1000000));
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+
+  await prisma.$transaction([
+    prisma.phoneverification.updateMany({ where: { phone, consumed: false }, data: { consumed: true } }),
+    prisma.phoneverification.create({ data: { phone, codeHash: hashCode(code), expiresAt } }),
+  ]);
+
+  const { text } = buildOtpSms({ code, minutes: CODE_TTL_MS / 60000, locale: locale || resolveLocale(null) });
+  await sendSms({ to: phone, text });
+}
+
+async function findPhoneCode(phone, code) {
+  return prisma.phoneverification.findFirst({
+    where: { phone, codeHash: hashCode(code), consumed: false },
+    orderBy: { id: 'desc' },
+  });
+}
+
+async function invalidatePhoneCodes(phone) {
+  await prisma.phoneverification.updateMany({ where: { phone, consumed: false }, data: { consumed: true } });
+}
+
+module.exports = {
+  issueCode,
+  sendVerificationCode,
+  findCode,
+  invalidateCodes,
+  sendPhoneCode,
+  findPhoneCode,
+  invalidatePhoneCodes,
+};